@@ -1,19 +0,0 @@
-// middleware/auth.js
-const jwt = require('jsonwebtoken');
-
-const auth = (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-  if (!token) {
-    return res.status(401).json({ message: 'Access denied. No token provided.' });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'yoursecretkey');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(400).json({ message: 'Invalid token.' });
-  }
-};
-
-module.exports = auth;
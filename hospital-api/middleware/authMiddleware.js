@@ -62,4 +62,16 @@ exports.doctor = (req, res, next) => {
       message: 'Not authorized as a doctor',
     });
   }
+};
+
+// Staff middleware (any signed-in hospital staff, i.e. not a patient)
+exports.staff = (req, res, next) => {
+  if (req.user && ['admin', 'doctor', 'employee'].includes(req.user.role)) {
+    next();
+  } else {
+    res.status(401).json({
+      success: false,
+      message: 'Not authorized as staff',
+    });
+  }
 };
\ No newline at end of file
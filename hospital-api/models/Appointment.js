@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const appointmentEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['booked', 'rescheduled', 'cancelled', 'no_show', 'checked_in'],
+    required: true
+  },
+  from: {
+    type: Date
+  },
+  to: {
+    type: Date
+  },
+  reason: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: Number,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const appointmentSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  doctorId: {
+    type: Number,
+    required: true,
+    ref: 'Doctor'
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'checked_in', 'cancelled', 'no_show'],
+    default: 'booked'
+  },
+  reason: {
+    type: String
+  },
+  encounterId: {
+    type: Number,
+    ref: 'Encounter'
+  },
+  history: [appointmentEventSchema]
+}, { timestamps: true });
+
+// A doctor's slot can hold only one booked appointment
+appointmentSchema.index(
+  { doctorId: 1, start: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const bedSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  wardId: {
+    type: Number,
+    required: true,
+    ref: 'Ward'
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['free', 'occupied', 'cleaning', 'blocked', 'reserved'],
+    default: 'free'
+  },
+  equipment: {
+    oxygen: {
+      type: Boolean,
+      default: false
+    },
+    ventilator: {
+      type: Boolean,
+      default: false
+    },
+    monitor: {
+      type: Boolean,
+      default: false
+    },
+    suction: {
+      type: Boolean,
+      default: false
+    }
+  },
+  patId: {
+    type: Number,
+    ref: 'Patient'
+  },
+  reservedFor: {
+    type: Number,
+    ref: 'Patient'
+  },
+  reservedUntil: {
+    type: Date
+  }
+}, { timestamps: true });
+
+bedSchema.index({ wardId: 1, label: 1 }, { unique: true });
+
+// A patient can occupy at most one bed at a time
+bedSchema.index({ patId: 1 }, { unique: true, partialFilterExpression: { patId: { $exists: true } } });
+
+module.exports = mongoose.model('Bed', bedSchema);
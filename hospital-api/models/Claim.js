@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const claimHistorySchema = new mongoose.Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: Number,
+    ref: 'User'
+  },
+  note: {
+    type: String
+  }
+}, { _id: false });
+
+const claimSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  invoiceId: {
+    type: Number,
+    required: true,
+    ref: 'Invoice'
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  policyId: {
+    type: Number,
+    required: true,
+    ref: 'InsurancePolicy'
+  },
+  claimedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  approvedAmount: {
+    type: Number,
+    min: 0
+  },
+  settledAmount: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'partially_approved', 'rejected', 'settled'],
+    default: 'draft'
+  },
+  adapter: {
+    type: String
+  },
+  externalReference: {
+    type: String
+  },
+  rejectionReason: {
+    type: String
+  },
+  history: [claimHistorySchema]
+}, { timestamps: true });
+
+module.exports = mongoose.model('Claim', claimSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const addendumSchema = new mongoose.Schema({
+  addendumId: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  doctorId: {
+    type: Number,
+    required: true,
+    ref: 'Doctor'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: Number,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const clinicalNoteSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  encounterId: {
+    type: Number,
+    required: true,
+    ref: 'Encounter'
+  },
+  // Author; only they can edit or sign the note
+  doctorId: {
+    type: Number,
+    required: true,
+    ref: 'Doctor'
+  },
+  subjective: {
+    type: String
+  },
+  objective: {
+    type: String
+  },
+  assessment: {
+    type: String
+  },
+  plan: {
+    type: String
+  },
+  // Signed notes are part of the legal record and only take addenda
+  status: {
+    type: String,
+    enum: ['draft', 'signed'],
+    default: 'draft'
+  },
+  signedAt: {
+    type: Date
+  },
+  signedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  addenda: [addendumSchema],
+  createdBy: {
+    type: Number,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+clinicalNoteSchema.index({ encounterId: 1 });
+clinicalNoteSchema.index({ patId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ClinicalNote', clinicalNoteSchema);
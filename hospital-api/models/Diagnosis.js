@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const diagnosisSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  encounterId: {
+    type: Number,
+    required: true,
+    ref: 'Encounter'
+  },
+  // ICD-10 code and its title as they were when the diagnosis was made
+  code: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  // An encounter has at most one primary diagnosis
+  type: {
+    type: String,
+    enum: ['primary', 'secondary'],
+    default: 'secondary'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved'],
+    default: 'active'
+  },
+  onsetDate: {
+    type: Date
+  },
+  resolvedAt: {
+    type: Date
+  },
+  notes: {
+    type: String
+  },
+  doctorId: {
+    type: Number,
+    required: true,
+    ref: 'Doctor'
+  },
+  recordedBy: {
+    type: Number,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+diagnosisSchema.index({ encounterId: 1, type: 1 }, { unique: true, partialFilterExpression: { type: 'primary' } });
+diagnosisSchema.index({ code: 1, status: 1 });
+diagnosisSchema.index({ patId: 1, status: 1 });
+
+module.exports = mongoose.model('Diagnosis', diagnosisSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const availabilitySchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  }
+}, { _id: false });
+
+const doctorScheduleSchema = new mongoose.Schema({
+  doctorId: {
+    type: Number,
+    required: true,
+    unique: true,
+    ref: 'Doctor'
+  },
+  slotMinutes: {
+    type: Number,
+    default: 15,
+    min: 5
+  },
+  weekly: [availabilitySchema]
+}, { timestamps: true });
+
+module.exports = mongoose.model('DoctorSchedule', doctorScheduleSchema);
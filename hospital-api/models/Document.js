@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const documentSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  // Set when the document belongs to a particular encounter rather than the patient record
+  encounterId: {
+    type: Number,
+    ref: 'Encounter'
+  },
+  category: {
+    type: String,
+    enum: ['report', 'imaging', 'consent', 'discharge_letter', 'other'],
+    default: 'other'
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the file, checked again on download
+  checksum: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: Number,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+documentSchema.index({ patId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Document', documentSchema);
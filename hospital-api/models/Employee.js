@@ -1,24 +1,80 @@
-// models/Employee.js
 const mongoose = require('mongoose');
 
+const employmentEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['hire', 'terminate', 'rehire'],
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  by: {
+    type: Number,
+    ref: 'User'
+  }
+}, { _id: false });
+
 const employeeSchema = new mongoose.Schema({
-  user_id: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+  id: {
+    type: Number,
     required: true,
     unique: true
   },
+  userId: {
+    type: Number,
+    required: true,
+    unique: true,
+    ref: 'User'
+  },
   dob: {
     type: Date
   },
-  hire_date: {
-    type: Date
+  hireDate: {
+    type: Date,
+    required: true
   },
   salary: {
-    type: Number
-  }
-}, {
-  timestamps: true // adds createdAt and updatedAt
-});
+    type: Number,
+    min: 0
+  },
+  jobTitle: {
+    type: String,
+    trim: true
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  employmentType: {
+    type: String,
+    enum: ['full_time', 'part_time', 'contract', 'intern'],
+    default: 'full_time'
+  },
+  // Employee who approves this employee's leave
+  manager: {
+    type: Number,
+    ref: 'Employee'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'terminated'],
+    default: 'active'
+  },
+  terminationDate: {
+    type: Date
+  },
+  terminationReason: {
+    type: String
+  },
+  employmentHistory: [employmentEventSchema]
+}, { timestamps: true });
+
+employeeSchema.index({ department: 1, status: 1 });
+employeeSchema.index({ manager: 1 });
 
 module.exports = mongoose.model('Employee', employeeSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const encounterSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  type: {
+    type: String,
+    enum: ['outpatient', 'inpatient', 'emergency'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'finished', 'cancelled'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date
+  },
+  // Attending doctor
+  doctorId: {
+    type: Number,
+    required: true,
+    ref: 'Doctor'
+  },
+  // Ward for inpatient stays; location describes anywhere else, e.g. a clinic room
+  wardId: {
+    type: Number,
+    ref: 'Ward'
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String
+  },
+  appointmentId: {
+    type: Number,
+    ref: 'Appointment'
+  },
+  createdBy: {
+    type: Number,
+    ref: 'User'
+  },
+  endedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  cancelReason: {
+    type: String
+  }
+}, { timestamps: true });
+
+encounterSchema.index({ patId: 1, startedAt: -1 });
+encounterSchema.index({ doctorId: 1, status: 1 });
+
+module.exports = mongoose.model('Encounter', encounterSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const icdCodeSchema = new mongoose.Schema({
+  // Stored upper case with the dot after the category, e.g. E11.9
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  // Three-character category the code belongs to, e.g. E11
+  category: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+icdCodeSchema.index({ category: 1 });
+
+module.exports = mongoose.model('IcdCode', icdCodeSchema);
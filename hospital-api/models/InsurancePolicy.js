@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const insurancePolicySchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  payer: {
+    type: String,
+    required: true
+  },
+  policyNumber: {
+    type: String,
+    required: true
+  },
+  coveragePercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  coPay: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validTo: {
+    type: Date,
+    required: true
+  },
+  adapter: {
+    type: String
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+insurancePolicySchema.index({ payer: 1, policyNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('InsurancePolicy', insurancePolicySchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const lineItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['ward', 'doctor', 'medicine', 'lab'],
+    required: true
+  },
+  refId: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  admissionDate: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  lineItems: [lineItemSchema],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  policyId: {
+    type: Number,
+    ref: 'InsurancePolicy'
+  },
+  payerShare: {
+    type: Number,
+    default: 0
+  },
+  patientShare: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'void'],
+    default: 'issued'
+  },
+  generatedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  voidedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidReason: {
+    type: String
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// A test on an order, with the catalog details as they were when ordered
+const orderedTestSchema = new mongoose.Schema({
+  testId: {
+    type: Number,
+    required: true,
+    ref: 'LabTest'
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  unit: {
+    type: String
+  },
+  referenceLow: {
+    type: Number
+  },
+  referenceHigh: {
+    type: Number
+  },
+  normalValues: [{
+    type: String
+  }],
+  price: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ordered', 'resulted', 'cancelled'],
+    default: 'ordered'
+  },
+  // Numeric results use value, qualitative ones textValue
+  value: {
+    type: Number
+  },
+  textValue: {
+    type: String
+  },
+  flag: {
+    type: String,
+    enum: ['normal', 'low', 'high', 'abnormal']
+  },
+  resultNotes: {
+    type: String
+  },
+  resultedAt: {
+    type: Date
+  },
+  resultedBy: {
+    type: Number,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const labOrderSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  doctorId: {
+    type: Number,
+    required: true,
+    ref: 'Doctor'
+  },
+  encounterId: {
+    type: Number,
+    ref: 'Encounter'
+  },
+  priority: {
+    type: String,
+    enum: ['routine', 'urgent'],
+    default: 'routine'
+  },
+  clinicalNotes: {
+    type: String
+  },
+  tests: [orderedTestSchema],
+  status: {
+    type: String,
+    enum: ['ordered', 'collected', 'partially_resulted', 'resulted', 'cancelled'],
+    default: 'ordered'
+  },
+  // Any resulted test is outside its reference range
+  abnormal: {
+    type: Boolean,
+    default: false
+  },
+  orderedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  sampleId: {
+    type: String,
+    trim: true
+  },
+  collectedAt: {
+    type: Date
+  },
+  collectedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: Number,
+    ref: 'User'
+  },
+  cancelReason: {
+    type: String
+  }
+}, { timestamps: true });
+
+labOrderSchema.index({ doctorId: 1, status: 1 });
+labOrderSchema.index({ patId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LabOrder', labOrderSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const labTestSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  specimen: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Numeric results outside low..high are flagged; either bound may be left open
+  referenceLow: {
+    type: Number
+  },
+  referenceHigh: {
+    type: Number
+  },
+  // Text results other than these are flagged abnormal, e.g. ['negative']
+  normalValues: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  turnaroundHours: {
+    type: Number,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('LabTest', labTestSchema);
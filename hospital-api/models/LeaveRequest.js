@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const leaveRequestSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  empId: {
+    type: Number,
+    required: true,
+    ref: 'Employee'
+  },
+  type: {
+    type: String,
+    enum: ['sick', 'casual', 'annual', 'unpaid'],
+    required: true
+  },
+  // First and last day of leave (both inclusive, stored at midnight)
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  days: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  decidedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date
+  },
+  decisionNote: {
+    type: String
+  }
+}, { timestamps: true });
+
+leaveRequestSchema.index({ empId: 1, status: 1, startDate: 1 });
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const medicationAdministrationSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  prescriptionId: {
+    type: Number,
+    required: true,
+    ref: 'Prescription'
+  },
+  lineId: {
+    type: Number,
+    required: true
+  },
+  medicineId: {
+    type: Number,
+    required: true,
+    ref: 'Medicine'
+  },
+  // Scheduled dose time; empty for as-needed (PRN) doses
+  scheduledFor: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['given', 'held', 'refused', 'missed'],
+    required: true
+  },
+  dose: {
+    type: Number
+  },
+  unit: {
+    type: String
+  },
+  route: {
+    type: String
+  },
+  // When the dose was given, held, refused or found missed
+  administeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Employee who administered or recorded the dose
+  empId: {
+    type: Number,
+    required: true,
+    ref: 'Employee'
+  },
+  recordedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  reason: {
+    type: String
+  },
+  notes: {
+    type: String
+  }
+}, { timestamps: true });
+
+// One record per scheduled dose
+medicationAdministrationSchema.index(
+  { prescriptionId: 1, lineId: 1, scheduledFor: 1 },
+  { unique: true, partialFilterExpression: { scheduledFor: { $exists: true } } }
+);
+medicationAdministrationSchema.index({ patId: 1, administeredAt: -1 });
+
+module.exports = mongoose.model('MedicationAdministration', medicationAdministrationSchema);
@@ -10,9 +10,26 @@ const medicineSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Generic name and drug classes used for interaction and allergy checks
+  genericName: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  drugClasses: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   price: {
     type: Number,
     required: true
+  },
+  // Usable stock at or below this level is reported as low
+  lowStockThreshold: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, { timestamps: true });
 
@@ -1,6 +1,62 @@
 const mongoose = require('mongoose');
 
+const allocationSchema = new mongoose.Schema({
+  batchId: {
+    type: Number,
+    required: true,
+    ref: 'StockBatch'
+  },
+  batchNumber: {
+    type: String
+  },
+  expiryDate: {
+    type: Date
+  },
+  qty: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const safetyWarningSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['allergy', 'interaction'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['minor', 'moderate', 'major', 'contraindicated'],
+    required: true
+  },
+  description: {
+    type: String
+  },
+  // Medicine being assigned that the warning is about
+  medicineId: {
+    type: Number,
+    ref: 'Medicine'
+  },
+  substance: {
+    type: String
+  },
+  // The other medicine in an interaction, with its name as at the time of the warning
+  withMedicineId: {
+    type: Number,
+    ref: 'Medicine'
+  },
+  withMedicine: {
+    type: String
+  }
+}, { _id: false });
+
 const medicineAssignedSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
   patId: {
     type: Number,
     required: true,
@@ -11,15 +67,70 @@ const medicineAssignedSchema = new mongoose.Schema({
     required: true,
     ref: 'Medicine'
   },
+  // Prescription line the medicine is assigned against
+  prescriptionId: {
+    type: Number,
+    ref: 'Prescription'
+  },
+  prescriptionLineId: {
+    type: Number
+  },
+  // Free-text prescription of assignments made before structured prescriptions
   prescription: {
-    type: String,
-    required: true
+    type: String
   },
   medicineQty: {
     type: Number,
     required: true,
     min: 1
+  },
+  // reserved: stock held on batches; backordered: waiting for stock;
+  // dispensed: stock taken off the shelf; cancelled: stock released or returned
+  status: {
+    type: String,
+    enum: ['reserved', 'backordered', 'dispensed', 'cancelled'],
+    default: 'reserved'
+  },
+  // Batches the quantity is reserved on, or was dispensed from
+  allocations: [allocationSchema],
+  // Allergy and interaction warnings raised when the medicine was assigned
+  warnings: [safetyWarningSchema],
+  override: {
+    reason: {
+      type: String
+    },
+    by: {
+      type: Number,
+      ref: 'User'
+    },
+    at: {
+      type: Date
+    }
+  },
+  assignedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  dispensedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  dispensedAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: Number,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String
   }
 }, { timestamps: true });
 
-module.exports = mongoose.model('MedicineAssigned', medicineAssignedSchema);
\ No newline at end of file
+medicineAssignedSchema.index({ patId: 1, createdAt: -1 });
+medicineAssignedSchema.index({ medicineId: 1, status: 1 });
+
+module.exports = mongoose.model('MedicineAssigned', medicineAssignedSchema);
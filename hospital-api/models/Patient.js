@@ -1,5 +1,191 @@
 const mongoose = require('mongoose');
 
+const wardMovementSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['admit', 'transfer', 'discharge'],
+    required: true
+  },
+  fromWardId: {
+    type: Number,
+    ref: 'Ward'
+  },
+  toWardId: {
+    type: Number,
+    ref: 'Ward'
+  },
+  fromBed: {
+    type: Number
+  },
+  toBed: {
+    type: Number
+  },
+  reason: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: Number,
+    ref: 'User'
+  }
+});
+
+const allergySchema = new mongoose.Schema({
+  substance: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reaction: {
+    type: String
+  },
+  severity: {
+    type: String,
+    enum: ['mild', 'moderate', 'severe']
+  },
+  notes: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved'],
+    default: 'active'
+  },
+  resolvedDate: {
+    type: Date
+  },
+  recordedBy: {
+    type: Number,
+    ref: 'User'
+  }
+});
+
+// Chronic or ongoing conditions, optionally coded with ICD-10
+const problemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  onsetDate: {
+    type: Date
+  },
+  notes: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved'],
+    default: 'active'
+  },
+  resolvedDate: {
+    type: Date
+  },
+  recordedBy: {
+    type: Number,
+    ref: 'User'
+  }
+});
+
+const surgerySchema = new mongoose.Schema({
+  procedure: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date
+  },
+  notes: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved'],
+    default: 'active'
+  },
+  resolvedDate: {
+    type: Date
+  },
+  recordedBy: {
+    type: Number,
+    ref: 'User'
+  }
+});
+
+const familyHistorySchema = new mongoose.Schema({
+  relation: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  condition: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  notes: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved'],
+    default: 'active'
+  },
+  resolvedDate: {
+    type: Date
+  },
+  recordedBy: {
+    type: Number,
+    ref: 'User'
+  }
+});
+
+// Smoking, alcohol and other social factors; resolved once no longer current
+const socialHistorySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: ['smoking', 'alcohol', 'substance_use', 'occupation', 'living_situation', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: Date
+  },
+  notes: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'resolved'],
+    default: 'active'
+  },
+  resolvedDate: {
+    type: Date
+  },
+  recordedBy: {
+    type: Number,
+    ref: 'User'
+  }
+});
+
 const patientSchema = new mongoose.Schema({
   id: {
     type: Number,
@@ -23,6 +209,15 @@ const patientSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  admissionStatus: {
+    type: String,
+    enum: ['admitted', 'discharged'],
+    default: 'admitted'
+  },
+  dischargeDate: {
+    type: Date
+  },
+  wardHistory: [wardMovementSchema],
   bloodGroup: {
     type: String,
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
@@ -32,11 +227,18 @@ const patientSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  allergies: [allergySchema],
+  problems: [problemSchema],
+  surgicalHistory: [surgerySchema],
+  familyHistory: [familyHistorySchema],
+  socialHistory: [socialHistorySchema],
+  // Free-text note kept for older records; see the Prescription model
   prescription: {
     type: String
   },
   bedAllocated: {
-    type: Number
+    type: Number,
+    ref: 'Bed'
   },
   paymentStatus: {
     type: String,
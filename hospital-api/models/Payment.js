@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  invoiceId: {
+    type: Number,
+    required: true,
+    ref: 'Invoice'
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'refund'],
+    default: 'payment'
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'insurance'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  refundOf: {
+    type: Number,
+    ref: 'Payment'
+  },
+  reference: {
+    type: String
+  },
+  notes: {
+    type: String
+  },
+  receivedBy: {
+    type: Number,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const payComponentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // 'fixed' is a flat amount, 'percent' is a percentage of the base salary
+  type: {
+    type: String,
+    enum: ['fixed', 'percent'],
+    default: 'fixed'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const payrollRunSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'finalized', 'locked'],
+    default: 'draft'
+  },
+  allowances: [payComponentSchema],
+  deductions: [payComponentSchema],
+  standardHours: {
+    type: Number,
+    default: 160,
+    min: 1
+  },
+  overtimeMultiplier: {
+    type: Number,
+    default: 1.5,
+    min: 1
+  },
+  createdBy: {
+    type: Number,
+    ref: 'User'
+  },
+  finalizedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  finalizedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  lockedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+payrollRunSchema.index({ year: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model('PayrollRun', payrollRunSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const payLineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const payslipSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  runId: {
+    type: Number,
+    required: true,
+    ref: 'PayrollRun'
+  },
+  empId: {
+    type: Number,
+    required: true,
+    ref: 'Employee'
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true
+  },
+  // Monthly salary prorated to the days employed in the period
+  baseSalary: {
+    type: Number,
+    required: true
+  },
+  daysEmployed: {
+    type: Number
+  },
+  allowances: [payLineSchema],
+  deductions: [payLineSchema],
+  rosteredHours: {
+    type: Number,
+    default: 0
+  },
+  overtimeHours: {
+    type: Number,
+    default: 0
+  },
+  overtimePay: {
+    type: Number,
+    default: 0
+  },
+  unpaidLeaveDays: {
+    type: Number,
+    default: 0
+  },
+  unpaidLeaveDeduction: {
+    type: Number,
+    default: 0
+  },
+  gross: {
+    type: Number,
+    required: true
+  },
+  totalDeductions: {
+    type: Number,
+    required: true
+  },
+  net: {
+    type: Number,
+    required: true
+  }
+}, { timestamps: true });
+
+payslipSchema.index({ runId: 1, empId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Payslip', payslipSchema);
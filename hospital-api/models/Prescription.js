@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const prescriptionLineSchema = new mongoose.Schema({
+  lineId: {
+    type: Number,
+    required: true
+  },
+  medicineId: {
+    type: Number,
+    required: true,
+    ref: 'Medicine'
+  },
+  dose: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  route: {
+    type: String,
+    enum: ['oral', 'sublingual', 'iv', 'im', 'sc', 'topical', 'inhaled', 'rectal', 'ophthalmic', 'otic', 'nasal', 'other'],
+    required: true
+  },
+  // Free-form schedule such as 'BID', 'q8h' or 'once daily'
+  frequency: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Administration times ('HH:mm') overriding the ones derived from the frequency
+  times: [{
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  }],
+  durationDays: {
+    type: Number,
+    min: 1
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  stopDate: {
+    type: Date
+  },
+  // Given only when needed rather than on a fixed schedule
+  prn: {
+    type: Boolean,
+    default: false
+  },
+  instructions: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'discontinued'],
+    default: 'active'
+  },
+  discontinuedAt: {
+    type: Date
+  },
+  discontinueReason: {
+    type: String
+  }
+}, { _id: false });
+
+// Snapshot of the lines as signed at each version
+const prescriptionVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  change: {
+    type: String,
+    enum: ['created', 'line_added', 'line_modified', 'line_discontinued', 'discontinued'],
+    required: true
+  },
+  lineId: {
+    type: Number
+  },
+  reason: {
+    type: String
+  },
+  lines: [prescriptionLineSchema],
+  signedBy: {
+    type: Number,
+    ref: 'Doctor'
+  },
+  signedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const prescriptionSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  // Prescribing doctor who signed the first version
+  doctorId: {
+    type: Number,
+    required: true,
+    ref: 'Doctor'
+  },
+  encounterId: {
+    type: Number,
+    ref: 'Encounter'
+  },
+  notes: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'discontinued'],
+    default: 'active'
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  lines: [prescriptionLineSchema],
+  // Doctor and time of the latest signed version
+  signedBy: {
+    type: Number,
+    ref: 'Doctor'
+  },
+  signedAt: {
+    type: Date
+  },
+  versions: [prescriptionVersionSchema]
+}, { timestamps: true });
+
+prescriptionSchema.index({ patId: 1, status: 1 });
+
+module.exports = mongoose.model('Prescription', prescriptionSchema);
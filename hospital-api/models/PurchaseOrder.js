@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const orderLineSchema = new mongoose.Schema({
+  lineId: {
+    type: Number,
+    required: true
+  },
+  medicineId: {
+    type: Number,
+    required: true,
+    ref: 'Medicine'
+  },
+  qty: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Agreed cost per unit, used for the batches received
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedQty: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const receiptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: Number,
+    ref: 'User'
+  },
+  items: [{
+    lineId: {
+      type: Number,
+      required: true
+    },
+    batchId: {
+      type: Number,
+      ref: 'StockBatch'
+    },
+    batchNumber: {
+      type: String
+    },
+    qty: {
+      type: Number,
+      required: true
+    },
+    expiryDate: {
+      type: Date
+    }
+  }]
+}, { _id: false });
+
+const purchaseOrderSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  supplierId: {
+    type: Number,
+    required: true,
+    ref: 'Supplier'
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'closed'],
+    default: 'draft'
+  },
+  lines: [orderLineSchema],
+  receipts: [receiptSchema],
+  expectedDate: {
+    type: Date
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: Number,
+    ref: 'User'
+  },
+  sentAt: {
+    type: Date
+  },
+  sentBy: {
+    type: Number,
+    ref: 'User'
+  },
+  closedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  // Set when an order is closed before everything was received
+  closeReason: {
+    type: String
+  }
+}, { timestamps: true });
+
+purchaseOrderSchema.index({ supplierId: 1, status: 1 });
+purchaseOrderSchema.index({ 'lines.medicineId': 1, status: 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
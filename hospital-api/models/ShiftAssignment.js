@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const shiftAssignmentSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  empId: {
+    type: Number,
+    required: true,
+    ref: 'Employee'
+  },
+  wardId: {
+    type: Number,
+    required: true,
+    ref: 'Ward'
+  },
+  shiftId: {
+    type: Number,
+    required: true,
+    ref: 'ShiftTemplate'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  restOverrideReason: {
+    type: String
+  },
+  assignedBy: {
+    type: Number,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+shiftAssignmentSchema.index({ empId: 1, start: 1 });
+shiftAssignmentSchema.index({ wardId: 1, start: 1, end: 1 });
+
+module.exports = mongoose.model('ShiftAssignment', shiftAssignmentSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const shiftTemplateSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // A shift whose end time is not after its start time runs past midnight
+  startTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ShiftTemplate', shiftTemplateSchema);
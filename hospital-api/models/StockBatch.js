@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const stockBatchSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  medicineId: {
+    type: Number,
+    required: true,
+    ref: 'Medicine'
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Quantity received, and quantity still on the shelf
+  receivedQty: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  qty: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Part of qty held for medicine assignments that are not dispensed yet
+  reservedQty: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  supplierId: {
+    type: Number,
+    ref: 'Supplier'
+  },
+  // Purchase order the batch was received against, if any
+  purchaseOrderId: {
+    type: Number,
+    ref: 'PurchaseOrder'
+  },
+  costPrice: {
+    type: Number,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: Number,
+    ref: 'User'
+  },
+  writeOffs: [{
+    qty: {
+      type: Number,
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: Number,
+      ref: 'User'
+    }
+  }]
+}, { timestamps: true });
+
+stockBatchSchema.index({ medicineId: 1, batchNumber: 1 }, { unique: true });
+stockBatchSchema.index({ medicineId: 1, expiryDate: 1 });
+
+module.exports = mongoose.model('StockBatch', stockBatchSchema);
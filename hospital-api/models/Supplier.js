@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  contactName: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String
+  },
+  // Usual days between sending an order and receiving it
+  leadTimeDays: {
+    type: Number,
+    default: 7,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const vitalsSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  patId: {
+    type: Number,
+    required: true,
+    ref: 'Patient'
+  },
+  encounterId: {
+    type: Number,
+    ref: 'Encounter'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: Number,
+    required: true,
+    ref: 'User'
+  },
+  // Degrees Celsius
+  temperature: {
+    type: Number,
+    min: 25,
+    max: 45
+  },
+  pulse: {
+    type: Number,
+    min: 0,
+    max: 300
+  },
+  systolicBP: {
+    type: Number,
+    min: 0,
+    max: 300
+  },
+  diastolicBP: {
+    type: Number,
+    min: 0,
+    max: 200
+  },
+  respiratoryRate: {
+    type: Number,
+    min: 0,
+    max: 80
+  },
+  spo2: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Breathing supplemental oxygen rather than room air
+  onOxygen: {
+    type: Boolean
+  },
+  // ACVPU scale
+  consciousness: {
+    type: String,
+    enum: ['alert', 'confusion', 'voice', 'pain', 'unresponsive']
+  },
+  painScore: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  notes: {
+    type: String
+  },
+  news2: {
+    score: {
+      type: Number
+    },
+    risk: {
+      type: String,
+      enum: ['low', 'low-medium', 'medium', 'high']
+    },
+    // Any single parameter scored 3
+    redScore: {
+      type: Boolean
+    },
+    // Every NEWS2 parameter was recorded
+    complete: {
+      type: Boolean
+    }
+  }
+}, { timestamps: true });
+
+vitalsSchema.index({ patId: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('Vitals', vitalsSchema);
@@ -0,0 +1,875 @@
+const express = require('express');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const { protect, staff } = require('../middleware/authMiddleware');
+const { availableSlots, findSlot, startOfDay, isTime, toMinutes } = require('../utils/scheduling');
+const { findDoctorLeave } = require('../utils/leave');
+const { openEncounter } = require('../utils/encounters');
+
+// Patients may only manage their own appointments; staff may manage any
+const canActFor = (user, patient) => user.role !== 'patient' || patient.userId === user.id;
+
+const slotTakenResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'This slot is already booked',
+});
+
+// Check that a slot is bookable for the patient, returning an error message if not
+const checkSlot = async (doctorId, patId, start, ignoreAppointmentId) => {
+  const slot = await findSlot(doctorId, start);
+  if (!slot) {
+    return { error: 'Requested time is not a slot in the doctor\'s schedule' };
+  }
+  if (slot.start.getTime() <= Date.now()) {
+    return { error: 'Cannot book a slot in the past' };
+  }
+
+  const leave = await findDoctorLeave(doctorId, slot.start, slot.end);
+  if (leave) {
+    return { error: 'Doctor is on leave at this time' };
+  }
+
+  const clash = await Appointment.findOne({
+    patId,
+    status: 'booked',
+    id: { $ne: ignoreAppointmentId },
+    start: { $lt: slot.end },
+    end: { $gt: slot.start },
+  });
+  if (clash) {
+    return { error: `Patient already has appointment ${clash.id} at this time` };
+  }
+
+  return { slot };
+};
+
+/**
+ * @swagger
+ * /api/appointments/schedules/{doctorId}:
+ *   get:
+ *     summary: Get a doctor's weekly availability template
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Weekly availability template
+ *       404:
+ *         description: Schedule not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/schedules/:doctorId', protect, async (req, res) => {
+  try {
+    const schedule = await DoctorSchedule.findOne({ doctorId: req.params.doctorId });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/schedules/{doctorId}:
+ *   put:
+ *     summary: Set a doctor's weekly availability template
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - weekly
+ *             properties:
+ *               slotMinutes:
+ *                 type: integer
+ *                 default: 15
+ *               weekly:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: integer
+ *                       description: 0 (Sunday) to 6 (Saturday)
+ *                     startTime:
+ *                       type: string
+ *                       example: '09:00'
+ *                     endTime:
+ *                       type: string
+ *                       example: '13:00'
+ *     responses:
+ *       200:
+ *         description: Schedule saved successfully
+ *       400:
+ *         description: Invalid schedule
+ *       404:
+ *         description: Doctor not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/schedules/:doctorId', protect, staff, async (req, res) => {
+  try {
+    const { slotMinutes, weekly } = req.body;
+
+    const doctor = await Doctor.findOne({ id: req.params.doctorId });
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    if (!Array.isArray(weekly)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Weekly availability must be an array',
+      });
+    }
+
+    const malformedBlock = weekly.find((block) => !block || !isTime(block.startTime) || !isTime(block.endTime)
+      || !Number.isInteger(Number(block.dayOfWeek)) || block.dayOfWeek < 0 || block.dayOfWeek > 6);
+    if (malformedBlock) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each availability block needs a dayOfWeek from 0 to 6 and HH:mm start and end times',
+      });
+    }
+
+    const invalidBlock = weekly.find((block) => toMinutes(block.endTime) <= toMinutes(block.startTime));
+    if (invalidBlock) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each availability block must end after it starts',
+      });
+    }
+
+    const schedule = await DoctorSchedule.findOneAndUpdate(
+      { doctorId: doctor.id },
+      { doctorId: doctor.id, slotMinutes, weekly },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/slots/{doctorId}:
+ *   get:
+ *     summary: Get bookable slots for a doctor on a day
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: List of free future slots (empty while the doctor is on leave)
+ *       400:
+ *         description: Invalid date
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/slots/:doctorId', protect, async (req, res) => {
+  try {
+    const date = new Date(req.query.date);
+    if (!req.query.date || Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required',
+      });
+    }
+
+    // Leave covers whole days, so a doctor on leave offers no slots that day
+    const nextDay = startOfDay(date);
+    nextDay.setDate(nextDay.getDate() + 1);
+    const leave = await findDoctorLeave(Number(req.params.doctorId), date, nextDay);
+    const slots = leave ? [] : await availableSlots(Number(req.params.doctorId), date);
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      data: slots,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   post:
+ *     summary: Book an appointment slot with a doctor
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctorId
+ *               - patId
+ *               - start
+ *             properties:
+ *               doctorId:
+ *                 type: integer
+ *               patId:
+ *                 type: integer
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Appointment booked successfully
+ *       400:
+ *         description: Not a bookable slot, slot taken or patient double-booked
+ *       404:
+ *         description: Doctor or patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, async (req, res) => {
+  try {
+    const { doctorId, patId, start, reason } = req.body;
+
+    const doctor = await Doctor.findOne({ id: doctorId });
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!canActFor(req.user, patient)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to book for this patient',
+      });
+    }
+
+    const { slot, error } = await checkSlot(doctor.id, patient.id, start);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Get highest appointment ID and increment by 1
+    const highestAppointment = await Appointment.findOne().sort('-id');
+    const newId = highestAppointment ? highestAppointment.id + 1 : 1;
+
+    let appointment;
+    try {
+      appointment = await Appointment.create({
+        id: newId,
+        doctorId: doctor.id,
+        patId: patient.id,
+        start: slot.start,
+        end: slot.end,
+        reason,
+        history: [{ action: 'booked', to: slot.start, by: req.user.id }],
+      });
+    } catch (createError) {
+      // The partial unique index on doctor and start rejects a second booking
+      if (createError.code === 11000) return slotTakenResponse(res);
+      throw createError;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: appointment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/doctor/{doctorId}:
+ *   get:
+ *     summary: Get appointments by doctor ID
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only appointments on this day
+ *     responses:
+ *       200:
+ *         description: List of appointments for the doctor
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/doctor/:doctorId', protect, staff, async (req, res) => {
+  try {
+    const filter = { doctorId: req.params.doctorId };
+    if (req.query.date) {
+      const day = startOfDay(req.query.date);
+      const nextDay = new Date(day);
+      nextDay.setDate(nextDay.getDate() + 1);
+      filter.start = { $gte: day, $lt: nextDay };
+    }
+
+    const appointments = await Appointment.find(filter).sort('start');
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      data: appointments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/patient/{patientId}:
+ *   get:
+ *     summary: Get appointments by patient ID
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of appointments for the patient
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!canActFor(req.user, patient)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view appointments for this patient',
+      });
+    }
+
+    const appointments = await Appointment.find({ patId: patient.id }).sort('-start');
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      data: appointments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}:
+ *   get:
+ *     summary: Get appointment by ID
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Appointment found
+ *       404:
+ *         description: Appointment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({ id: req.params.id });
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: appointment.patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!canActFor(req.user, patient)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view this appointment',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   post:
+ *     summary: Move a booked appointment to another slot with the same doctor
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - start
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled successfully
+ *       400:
+ *         description: Appointment not booked, or new slot not bookable
+ *       404:
+ *         description: Appointment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reschedule', protect, async (req, res) => {
+  try {
+    const { start, reason } = req.body;
+
+    const appointment = await Appointment.findOne({ id: req.params.id });
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: appointment.patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!canActFor(req.user, patient)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to reschedule this appointment',
+      });
+    }
+
+    if (appointment.status !== 'booked') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule an appointment that is ${appointment.status}`,
+      });
+    }
+
+    const { slot, error } = await checkSlot(appointment.doctorId, appointment.patId, start, appointment.id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    appointment.history.push({
+      action: 'rescheduled',
+      from: appointment.start,
+      to: slot.start,
+      reason,
+      by: req.user.id,
+    });
+    appointment.start = slot.start;
+    appointment.end = slot.end;
+
+    try {
+      await appointment.save();
+    } catch (saveError) {
+      if (saveError.code === 11000) return slotTakenResponse(res);
+      throw saveError;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/cancel:
+ *   post:
+ *     summary: Cancel a booked appointment and free its slot
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled successfully
+ *       400:
+ *         description: Appointment is not booked
+ *       404:
+ *         description: Appointment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({ id: req.params.id });
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: appointment.patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!canActFor(req.user, patient)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to cancel this appointment',
+      });
+    }
+
+    if (appointment.status !== 'booked') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel an appointment that is ${appointment.status}`,
+      });
+    }
+
+    appointment.status = 'cancelled';
+    appointment.history.push({ action: 'cancelled', reason: req.body.reason, by: req.user.id });
+    await appointment.save();
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/no-show:
+ *   post:
+ *     summary: Mark a booked appointment as a no-show
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Appointment marked as no-show
+ *       400:
+ *         description: Appointment is not booked or has not started yet
+ *       404:
+ *         description: Appointment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/no-show', protect, staff, async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({ id: req.params.id });
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found',
+      });
+    }
+
+    if (appointment.status !== 'booked' || appointment.start > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only booked appointments that have started can be marked as no-show',
+      });
+    }
+
+    appointment.status = 'no_show';
+    appointment.history.push({ action: 'no_show', by: req.user.id });
+    await appointment.save();
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/appointments/{id}/check-in:
+ *   post:
+ *     summary: Check a patient in and start an outpatient encounter
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Patient checked in and encounter started
+ *       400:
+ *         description: Appointment is not booked
+ *       404:
+ *         description: Appointment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/check-in', protect, staff, async (req, res) => {
+  try {
+    // Claim the appointment first so a double check-in cannot start two encounters
+    const appointment = await Appointment.findOneAndUpdate(
+      { id: req.params.id, status: 'booked' },
+      {
+        $set: { status: 'checked_in' },
+        $push: { history: { action: 'checked_in', by: req.user.id } },
+      },
+      { new: true }
+    );
+
+    if (!appointment) {
+      const exists = await Appointment.exists({ id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Only booked appointments can be checked in' : 'Appointment not found',
+      });
+    }
+
+    const encounter = await openEncounter({
+      patId: appointment.patId,
+      type: 'outpatient',
+      doctorId: appointment.doctorId,
+      reason: appointment.reason,
+      appointmentId: appointment.id,
+      createdBy: req.user.id,
+    });
+
+    appointment.encounterId = encounter.id;
+    await appointment.save();
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      encounter,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
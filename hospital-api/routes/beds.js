@@ -0,0 +1,519 @@
+const express = require('express');
+const router = express.Router();
+const Bed = require('../models/Bed');
+const Ward = require('../models/Ward');
+const Patient = require('../models/Patient');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const { assignBed, reserveBed, releaseBed, restoreBed, bedError } = require('../utils/beds');
+
+const EQUIPMENT = ['oxygen', 'ventilator', 'monitor', 'suction'];
+
+/**
+ * @swagger
+ * /api/beds/ward/{wardId}:
+ *   get:
+ *     summary: Get beds in a ward
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wardId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [free, occupied, cleaning, blocked, reserved]
+ *       - in: query
+ *         name: equipment
+ *         schema:
+ *           type: string
+ *         description: Comma-separated equipment the bed must have (oxygen, ventilator, monitor, suction)
+ *     responses:
+ *       200:
+ *         description: List of beds in the ward
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/ward/:wardId', protect, async (req, res) => {
+  try {
+    const filter = { wardId: req.params.wardId };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.equipment) {
+      req.query.equipment.split(',')
+        .filter((item) => EQUIPMENT.includes(item))
+        .forEach((item) => { filter[`equipment.${item}`] = true; });
+    }
+
+    const beds = await Bed.find(filter).sort('label');
+
+    res.status(200).json({
+      success: true,
+      count: beds.length,
+      data: beds,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/beds/{id}:
+ *   get:
+ *     summary: Get bed by ID
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bed found
+ *       404:
+ *         description: Bed not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const bed = await Bed.findOne({ id: req.params.id });
+
+    if (!bed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bed not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: bed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/beds:
+ *   post:
+ *     summary: Add a bed to a ward
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wardId
+ *               - label
+ *             properties:
+ *               wardId:
+ *                 type: integer
+ *               label:
+ *                 type: string
+ *               equipment:
+ *                 type: object
+ *                 properties:
+ *                   oxygen:
+ *                     type: boolean
+ *                   ventilator:
+ *                     type: boolean
+ *                   monitor:
+ *                     type: boolean
+ *                   suction:
+ *                     type: boolean
+ *     responses:
+ *       201:
+ *         description: Bed created successfully
+ *       400:
+ *         description: Invalid data or duplicate label in the ward
+ *       404:
+ *         description: Ward not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const { wardId, label, equipment } = req.body;
+
+    const ward = await Ward.findOne({ id: wardId });
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found',
+      });
+    }
+
+    const bedExists = await Bed.findOne({ wardId, label });
+    if (bedExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bed already exists with this label in the ward',
+      });
+    }
+
+    // Get highest bed ID and increment by 1
+    const highestBed = await Bed.findOne().sort('-id');
+    const newId = highestBed ? highestBed.id + 1 : 1;
+
+    const bed = await Bed.create({
+      id: newId,
+      wardId,
+      label,
+      equipment
+    });
+
+    res.status(201).json({
+      success: true,
+      data: bed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/beds/{id}:
+ *   put:
+ *     summary: Update bed label or equipment
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               equipment:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Bed updated successfully
+ *       404:
+ *         description: Bed not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const bed = await Bed.findOne({ id: req.params.id });
+
+    if (!bed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bed not found',
+      });
+    }
+
+    if (req.body.label !== undefined) bed.label = req.body.label;
+    if (req.body.equipment) {
+      EQUIPMENT.forEach((item) => {
+        if (req.body.equipment[item] !== undefined) bed.equipment[item] = req.body.equipment[item];
+      });
+    }
+    await bed.save();
+
+    res.status(200).json({
+      success: true,
+      data: bed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/beds/{id}/reserve:
+ *   post:
+ *     summary: Reserve a bed for a patient
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patId
+ *             properties:
+ *               patId:
+ *                 type: integer
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Reservation expiry (defaults to BED_RESERVATION_HOURS from now)
+ *     responses:
+ *       200:
+ *         description: Bed reserved successfully
+ *       400:
+ *         description: Bed is not free
+ *       404:
+ *         description: Bed or patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reserve', protect, staff, async (req, res) => {
+  try {
+    const { patId } = req.body;
+    const hours = Number(process.env.BED_RESERVATION_HOURS || 4);
+    const until = req.body.until ? new Date(req.body.until) : new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    const patient = await Patient.findOne({ id: patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    const bed = await reserveBed(req.params.id, patient.id, until);
+    if (!bed) {
+      const { status, message } = await bedError(req.params.id, undefined, patient.id);
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: bed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/beds/{id}/assign:
+ *   post:
+ *     summary: Assign a bed exclusively to an admitted patient
+ *     description: The patient must be admitted to the bed's ward. Any bed the patient held before is sent to cleaning.
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patId
+ *             properties:
+ *               patId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Bed assigned successfully
+ *       400:
+ *         description: Patient not admitted to this ward or bed not available
+ *       404:
+ *         description: Bed or patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/assign', protect, staff, async (req, res) => {
+  try {
+    const target = await Bed.findOne({ id: req.params.id });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bed not found',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: req.body.patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (patient.admissionStatus !== 'admitted' || patient.wardId !== target.wardId) {
+      return res.status(400).json({
+        success: false,
+        message: `Patient is not admitted to ward ${target.wardId}`,
+      });
+    }
+
+    // Give up the current bed first so the one-bed-per-patient rule holds
+    const previousBed = patient.bedAllocated
+      ? await releaseBed(patient.bedAllocated, patient.id)
+      : null;
+
+    const bed = await assignBed(target.id, target.wardId, patient.id);
+    if (!bed) {
+      if (previousBed) await restoreBed(previousBed.id, patient.id);
+      const { status, message } = await bedError(target.id, target.wardId, patient.id);
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    await Patient.updateOne({ id: patient.id }, { bedAllocated: bed.id });
+
+    res.status(200).json({
+      success: true,
+      data: bed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/beds/{id}/status:
+ *   post:
+ *     summary: Set housekeeping status of an unoccupied bed
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [free, cleaning, blocked]
+ *     responses:
+ *       200:
+ *         description: Bed status updated
+ *       400:
+ *         description: Invalid status or bed is occupied
+ *       404:
+ *         description: Bed not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/status', protect, staff, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['free', 'cleaning', 'blocked'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: free, cleaning, blocked',
+      });
+    }
+
+    const bed = await Bed.findOneAndUpdate(
+      { id: req.params.id, status: { $ne: 'occupied' } },
+      { $set: { status }, $unset: { reservedFor: 1, reservedUntil: 1 } },
+      { new: true }
+    );
+
+    if (!bed) {
+      const exists = await Bed.exists({ id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Bed is occupied; discharge or move the patient first' : 'Bed not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: bed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
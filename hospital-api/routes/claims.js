@@ -0,0 +1,454 @@
+const express = require('express');
+const router = express.Router();
+const Claim = require('../models/Claim');
+const Invoice = require('../models/Invoice');
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Payment = require('../models/Payment');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const { transitionClaim } = require('../utils/claims');
+const { getPayerAdapter } = require('../utils/payers');
+const { roundAmount, netPaidByInvoice, recomputePaymentStatus } = require('../utils/billing');
+
+const invalidTransition = (res, claim, to) => res.status(400).json({
+  success: false,
+  message: `Cannot move claim from ${claim.status} to ${to}`,
+});
+
+/**
+ * @swagger
+ * /api/claims:
+ *   post:
+ *     summary: Draft an insurance claim for the payer share of an invoice
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - invoiceId
+ *             properties:
+ *               invoiceId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Claim drafted successfully
+ *       400:
+ *         description: Invoice is void, has no payer share or is already claimed
+ *       404:
+ *         description: Invoice or policy not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, staff, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ id: req.body.invoiceId });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (invoice.status === 'void' || !invoice.policyId || invoice.payerShare <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice has no claimable payer share',
+      });
+    }
+
+    const policy = await InsurancePolicy.findOne({ id: invoice.policyId });
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance policy not found',
+      });
+    }
+
+    const claimExists = await Claim.findOne({
+      invoiceId: invoice.id,
+      status: { $ne: 'rejected' },
+    });
+    if (claimExists) {
+      return res.status(400).json({
+        success: false,
+        message: `Claim ${claimExists.id} already exists for this invoice`,
+      });
+    }
+
+    // Get highest claim ID and increment by 1
+    const highestClaim = await Claim.findOne().sort('-id');
+    const newId = highestClaim ? highestClaim.id + 1 : 1;
+
+    const claim = await Claim.create({
+      id: newId,
+      invoiceId: invoice.id,
+      patId: invoice.patId,
+      policyId: policy.id,
+      claimedAmount: invoice.payerShare,
+      adapter: getPayerAdapter(policy.adapter).name,
+      history: [{ to: 'draft', by: req.user.id }],
+    });
+
+    res.status(201).json({
+      success: true,
+      data: claim,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claims/patient/{patientId}:
+ *   get:
+ *     summary: Get claims by patient ID
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of claims for the patient
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const claims = await Claim.find({ patId: req.params.patientId }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: claims.length,
+      data: claims,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claims/{id}:
+ *   get:
+ *     summary: Get claim by ID
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Claim found
+ *       404:
+ *         description: Claim not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const claim = await Claim.findOne({ id: req.params.id });
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: claim,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claims/{id}/submit:
+ *   post:
+ *     summary: Submit a draft claim to the payer through its adapter
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Claim submitted successfully
+ *       400:
+ *         description: Claim is not a draft
+ *       404:
+ *         description: Claim not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error or payer adapter failure
+ */
+router.post('/:id/submit', protect, staff, async (req, res) => {
+  try {
+    const claim = await Claim.findOne({ id: req.params.id });
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found',
+      });
+    }
+
+    if (!transitionClaim(claim, 'submitted', req.user.id)) {
+      return invalidTransition(res, claim, 'submitted');
+    }
+
+    const invoice = await Invoice.findOne({ id: claim.invoiceId });
+    const policy = await InsurancePolicy.findOne({ id: claim.policyId });
+    const adapter = getPayerAdapter(claim.adapter);
+    const { reference } = await adapter.submitClaim(claim, { invoice, policy });
+
+    claim.externalReference = reference;
+    await claim.save();
+
+    res.status(200).json({
+      success: true,
+      data: claim,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claims/{id}/adjudicate:
+ *   post:
+ *     summary: Record the payer's decision on a submitted claim
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [approved, partially_approved, rejected]
+ *               approvedAmount:
+ *                 type: number
+ *                 description: Required for partially_approved
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim decision recorded
+ *       400:
+ *         description: Invalid outcome, amount or transition
+ *       404:
+ *         description: Claim not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/adjudicate', protect, admin, async (req, res) => {
+  try {
+    const { outcome, reason } = req.body;
+
+    if (!['approved', 'partially_approved', 'rejected'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome must be one of: approved, partially_approved, rejected',
+      });
+    }
+
+    const claim = await Claim.findOne({ id: req.params.id });
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found',
+      });
+    }
+
+    let approvedAmount = 0;
+    if (outcome === 'approved') {
+      approvedAmount = claim.claimedAmount;
+    } else if (outcome === 'partially_approved') {
+      approvedAmount = roundAmount(Number(req.body.approvedAmount));
+      if (!(approvedAmount > 0 && approvedAmount < claim.claimedAmount)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Partially approved amount must be between zero and the claimed amount',
+        });
+      }
+    }
+
+    if (!transitionClaim(claim, outcome, req.user.id, reason)) {
+      return invalidTransition(res, claim, outcome);
+    }
+
+    claim.approvedAmount = approvedAmount;
+    if (outcome === 'rejected') {
+      claim.rejectionReason = reason;
+    }
+    await claim.save();
+
+    res.status(200).json({
+      success: true,
+      data: claim,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/claims/{id}/settle:
+ *   post:
+ *     summary: Settle an approved claim and post the insurance payment to the invoice
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reference:
+ *                 type: string
+ *                 description: Remittance reference from the payer
+ *     responses:
+ *       200:
+ *         description: Claim settled and payment recorded
+ *       400:
+ *         description: Claim is not approved or the invoice is void
+ *       404:
+ *         description: Claim not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/settle', protect, admin, async (req, res) => {
+  try {
+    const claim = await Claim.findOne({ id: req.params.id });
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found',
+      });
+    }
+
+    const invoice = await Invoice.findOne({ id: claim.invoiceId });
+    if (!invoice || invoice.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice ${claim.invoiceId} is void; the claim cannot be settled against it`,
+      });
+    }
+
+    if (!transitionClaim(claim, 'settled', req.user.id)) {
+      return invalidTransition(res, claim, 'settled');
+    }
+
+    // Never post more than the invoice still owes
+    const netPaid = (await netPaidByInvoice([invoice.id])).get(invoice.id);
+    const settledAmount = roundAmount(Math.min(claim.approvedAmount, invoice.total - netPaid));
+
+    if (settledAmount > 0) {
+      const highestPayment = await Payment.findOne().sort('-id');
+      await Payment.create({
+        id: highestPayment ? highestPayment.id + 1 : 1,
+        invoiceId: invoice.id,
+        patId: invoice.patId,
+        type: 'payment',
+        method: 'insurance',
+        amount: settledAmount,
+        reference: req.body.reference || claim.externalReference,
+        notes: `Settlement of claim ${claim.id}`,
+        receivedBy: req.user.id,
+      });
+    }
+
+    claim.settledAmount = settledAmount;
+    await claim.save();
+
+    const paymentStatus = await recomputePaymentStatus(claim.patId);
+
+    res.status(200).json({
+      success: true,
+      data: claim,
+      paymentStatus,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,592 @@
+const express = require('express');
+const router = express.Router();
+const ClinicalNote = require('../models/ClinicalNote');
+const Patient = require('../models/Patient');
+const Encounter = require('../models/Encounter');
+const { protect, doctor } = require('../middleware/authMiddleware');
+const { doctorForUser } = require('../utils/prescriptions');
+const { isCareTeam, canViewRecord } = require('../utils/careTeam');
+
+// Sections of a SOAP note
+const SOAP_FIELDS = ['subjective', 'objective', 'assessment', 'plan'];
+
+const noteNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Clinical note not found',
+});
+
+const notCareTeam = (res) => res.status(401).json({
+  success: false,
+  message: "Only the patient's care team can access these notes",
+});
+
+const noDoctorProfile = (res) => res.status(401).json({
+  success: false,
+  message: 'Only doctors with a doctor profile can write clinical notes',
+});
+
+const pickSections = (body) => {
+  const sections = {};
+  SOAP_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) sections[field] = body[field];
+  });
+  return sections;
+};
+
+// Patients only see their notes once signed
+const visibleFilter = (user, filter) => (user.role === 'patient' ? { ...filter, status: 'signed' } : filter);
+
+// Load a note the signed-in doctor wrote, answering 404/401 otherwise
+const loadOwnNote = async (req, res) => {
+  const author = await doctorForUser(req.user);
+  if (!author) {
+    noDoctorProfile(res);
+    return null;
+  }
+
+  const note = await ClinicalNote.findOne({ id: req.params.id });
+  if (!note) {
+    noteNotFound(res);
+    return null;
+  }
+
+  if (note.doctorId !== author.id) {
+    res.status(401).json({
+      success: false,
+      message: 'Only the author can change this note',
+    });
+    return null;
+  }
+  return note;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SoapSections:
+ *       type: object
+ *       properties:
+ *         subjective:
+ *           type: string
+ *           description: History and symptoms as reported by the patient
+ *         objective:
+ *           type: string
+ *           description: Examination findings and measurements
+ *         assessment:
+ *           type: string
+ *           description: Diagnosis or differential
+ *         plan:
+ *           type: string
+ *           description: Treatment, tests and follow-up
+ */
+
+/**
+ * @swagger
+ * /api/clinical-notes/encounter/{encounterId}:
+ *   get:
+ *     summary: Get clinical notes for an encounter
+ *     description: Available to the patient's care team; patients see their own signed notes.
+ *     tags: [Clinical Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: encounterId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notes for the encounter, oldest first
+ *       404:
+ *         description: Encounter not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/encounter/:encounterId', protect, async (req, res) => {
+  try {
+    const encounter = await Encounter.findOne({ id: req.params.encounterId });
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Encounter not found',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: encounter.patId });
+    if (!patient || !(await canViewRecord(req.user, patient))) return notCareTeam(res);
+
+    const notes = await ClinicalNote.find(visibleFilter(req.user, { encounterId: encounter.id })).sort('createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: notes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/clinical-notes/patient/{patientId}:
+ *   get:
+ *     summary: Get all clinical notes for a patient
+ *     description: Available to the patient's care team; patients see their own signed notes.
+ *     tags: [Clinical Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notes, newest first
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!(await canViewRecord(req.user, patient))) return notCareTeam(res);
+
+    const notes = await ClinicalNote.find(visibleFilter(req.user, { patId: patient.id })).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: notes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/clinical-notes/{id}:
+ *   get:
+ *     summary: Get clinical note by ID
+ *     tags: [Clinical Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Clinical note with its addenda
+ *       404:
+ *         description: Clinical note not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const note = await ClinicalNote.findOne(visibleFilter(req.user, { id: req.params.id }));
+    if (!note) return noteNotFound(res);
+
+    const patient = await Patient.findOne({ id: note.patId });
+    if (!patient || !(await canViewRecord(req.user, patient))) return notCareTeam(res);
+
+    res.status(200).json({
+      success: true,
+      data: note,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/clinical-notes:
+ *   post:
+ *     summary: Start a draft SOAP note for an encounter
+ *     description: The signed-in doctor is the author and must be on the patient's care team.
+ *     tags: [Clinical Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SoapSections'
+ *               - type: object
+ *                 required:
+ *                   - encounterId
+ *                 properties:
+ *                   encounterId:
+ *                     type: integer
+ *     responses:
+ *       201:
+ *         description: Draft note created
+ *       404:
+ *         description: Encounter not found or cancelled
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, doctor, async (req, res) => {
+  try {
+    const author = await doctorForUser(req.user);
+    if (!author) return noDoctorProfile(res);
+
+    const encounter = req.body.encounterId
+      ? await Encounter.findOne({ id: req.body.encounterId, status: { $ne: 'cancelled' } })
+      : null;
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Encounter not found',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: encounter.patId });
+    if (!patient || !(await isCareTeam(req.user, patient))) return notCareTeam(res);
+
+    // Get highest clinical note ID and increment by 1
+    const highestNote = await ClinicalNote.findOne().sort('-id');
+    const newId = highestNote ? highestNote.id + 1 : 1;
+
+    const note = await ClinicalNote.create({
+      id: newId,
+      patId: patient.id,
+      encounterId: encounter.id,
+      doctorId: author.id,
+      ...pickSections(req.body),
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: note,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/clinical-notes/{id}:
+ *   put:
+ *     summary: Edit a draft note
+ *     description: Only the author can edit, and only until the note is signed.
+ *     tags: [Clinical Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SoapSections'
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *       400:
+ *         description: Note is already signed
+ *       404:
+ *         description: Clinical note not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, doctor, async (req, res) => {
+  try {
+    const note = await loadOwnNote(req, res);
+    if (!note) return;
+
+    const updatedNote = await ClinicalNote.findOneAndUpdate(
+      { id: note.id, status: 'draft' },
+      pickSections(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!updatedNote) {
+      return res.status(400).json({
+        success: false,
+        message: 'Signed notes cannot be edited; add an addendum instead',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedNote,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/clinical-notes/{id}/sign:
+ *   post:
+ *     summary: Sign a draft note
+ *     description: Only the author can sign. A signed note can no longer be edited or deleted.
+ *     tags: [Clinical Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Note signed
+ *       400:
+ *         description: Note is empty or already signed
+ *       404:
+ *         description: Clinical note not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/sign', protect, doctor, async (req, res) => {
+  try {
+    const note = await loadOwnNote(req, res);
+    if (!note) return;
+
+    if (!SOAP_FIELDS.some((field) => note[field] && note[field].trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'An empty note cannot be signed',
+      });
+    }
+
+    const signedNote = await ClinicalNote.findOneAndUpdate(
+      // Only sign the content the author last saw
+      { id: note.id, status: 'draft', updatedAt: note.updatedAt },
+      { status: 'signed', signedAt: new Date(), signedBy: req.user.id },
+      { new: true }
+    );
+    if (!signedNote) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note is already signed or changed meanwhile; please retry',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: signedNote,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/clinical-notes/{id}/addenda:
+ *   post:
+ *     summary: Add an addendum to a signed note
+ *     description: Any doctor on the patient's care team can add an addendum; the original note is left unchanged.
+ *     tags: [Clinical Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Addendum added; returns the note
+ *       400:
+ *         description: Text missing or note not signed yet
+ *       404:
+ *         description: Clinical note not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/addenda', protect, doctor, async (req, res) => {
+  try {
+    const author = await doctorForUser(req.user);
+    if (!author) return noDoctorProfile(res);
+
+    const note = await ClinicalNote.findOne({ id: req.params.id });
+    if (!note) return noteNotFound(res);
+
+    const patient = await Patient.findOne({ id: note.patId });
+    if (!patient || !(await isCareTeam(req.user, patient))) return notCareTeam(res);
+
+    if (!req.body.text || !String(req.body.text).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Addendum text is required',
+      });
+    }
+
+    if (note.status !== 'signed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Draft notes are edited directly; addenda are for signed notes',
+      });
+    }
+
+    const addendumId = note.addenda.length + 1;
+    const updatedNote = await ClinicalNote.findOneAndUpdate(
+      // Number addenda in order even when two are added at once
+      { id: note.id, addenda: { $size: note.addenda.length } },
+      {
+        $push: {
+          addenda: {
+            addendumId,
+            text: req.body.text,
+            doctorId: author.id,
+            by: req.user.id,
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updatedNote) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note changed meanwhile; please retry',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: updatedNote,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/clinical-notes/{id}:
+ *   delete:
+ *     summary: Discard a draft note
+ *     description: Only the author can discard a draft. Signed notes are permanent.
+ *     tags: [Clinical Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Draft deleted
+ *       400:
+ *         description: Note is signed
+ *       404:
+ *         description: Clinical note not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', protect, doctor, async (req, res) => {
+  try {
+    const note = await loadOwnNote(req, res);
+    if (!note) return;
+
+    const deleted = await ClinicalNote.findOneAndDelete({ id: note.id, status: 'draft' });
+    if (!deleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Signed notes cannot be deleted',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Clinical note deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,566 @@
+const express = require('express');
+const router = express.Router();
+const Diagnosis = require('../models/Diagnosis');
+const IcdCode = require('../models/IcdCode');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const Encounter = require('../models/Encounter');
+const { protect, admin, doctor, staff } = require('../middleware/authMiddleware');
+const { doctorForUser } = require('../utils/prescriptions');
+const { isCareTeam, canViewRecord } = require('../utils/careTeam');
+const {
+  codePrefix,
+  normalizeCode,
+  importCatalog,
+  importCatalogFile,
+  searchCodes,
+  codePrefixFilter,
+} = require('../utils/icd10');
+
+const DIAGNOSIS_TYPES = Diagnosis.schema.path('type').enumValues;
+
+const diagnosisNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Diagnosis not found',
+});
+
+const notCareTeam = (res) => res.status(401).json({
+  success: false,
+  message: "Only the patient's care team can access these diagnoses",
+});
+
+const noDoctorProfile = (res) => res.status(401).json({
+  success: false,
+  message: 'Only doctors with a doctor profile can record diagnoses',
+});
+
+const primaryTaken = (res) => res.status(400).json({
+  success: false,
+  message: 'This encounter already has a primary diagnosis',
+});
+
+// Load a diagnosis the signed-in doctor may change: a doctor on the patient's care team
+const loadForDoctor = async (req, res) => {
+  const diagnosis = await Diagnosis.findOne({ id: req.params.id });
+  if (!diagnosis) {
+    diagnosisNotFound(res);
+    return null;
+  }
+
+  const patient = await Patient.findOne({ id: diagnosis.patId });
+  if (!patient || !(await isCareTeam(req.user, patient))) {
+    notCareTeam(res);
+    return null;
+  }
+  return diagnosis;
+};
+
+/**
+ * @swagger
+ * /api/diagnoses/codes:
+ *   get:
+ *     summary: Search the ICD-10 catalog
+ *     description: A query that looks like a code (e.g. E11 or e119) matches codes by prefix; anything else must match every word in the title.
+ *     tags: [Diagnoses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: At most 50 (default 20)
+ *     responses:
+ *       200:
+ *         description: Matching codes in code order
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/codes', protect, staff, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 50);
+    const codes = await searchCodes(req.query.q, limit);
+
+    res.status(200).json({
+      success: true,
+      count: codes.length,
+      data: codes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/diagnoses/codes/import:
+ *   post:
+ *     summary: Import ICD-10 codes into the catalog
+ *     description: Send a CSV of code,title rows (codes with or without the dot). Without a body the file at ICD10_FILE (data/icd10.csv by default) is imported. Existing codes are updated.
+ *     tags: [Diagnoses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Number of codes imported and lines skipped
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/codes/import', protect, admin, express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), async (req, res) => {
+  try {
+    const result = typeof req.body === 'string' && req.body.trim()
+      ? await importCatalog(req.body)
+      : await importCatalogFile();
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/diagnoses/reports/patients:
+ *   get:
+ *     summary: Find patients by diagnosis
+ *     description: Available to doctors and other staff. For example codes=E10,E11 lists patients with an active type 1 or type 2 diabetes diagnosis.
+ *     tags: [Diagnoses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: codes
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated ICD-10 codes or code prefixes
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, resolved]
+ *         description: Defaults to active
+ *       - in: query
+ *         name: admitted
+ *         schema:
+ *           type: boolean
+ *         description: Only patients currently admitted
+ *     responses:
+ *       200:
+ *         description: Patient IDs and names with their matching diagnoses
+ *       400:
+ *         description: No valid codes given
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports/patients', protect, staff, async (req, res) => {
+  try {
+    const prefixes = String(req.query.codes || '').split(',').filter((prefix) => codePrefix(prefix));
+    if (prefixes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one ICD-10 code or code prefix is required',
+      });
+    }
+
+    const diagnoses = await Diagnosis.find({
+      ...codePrefixFilter(prefixes),
+      status: req.query.status || 'active',
+    }).sort('code');
+
+    const patientFilter = { id: { $in: [...new Set(diagnoses.map((diagnosis) => diagnosis.patId))] } };
+    if (req.query.admitted === 'true') patientFilter.admissionStatus = 'admitted';
+    const patients = await Patient.find(patientFilter).select('id userId').sort('id');
+    const users = await User.find({ id: { $in: patients.map((patient) => patient.userId) } })
+      .select('id firstName lastName');
+    const usersById = new Map(users.map((user) => [user.id, user]));
+
+    // Only what the report is for: who has the diagnosis, not the rest of their record
+    const data = patients.map((patient) => {
+      const user = usersById.get(patient.userId);
+      return {
+        patient: {
+          id: patient.id,
+          name: user ? `${user.firstName} ${user.lastName}` : null,
+        },
+        diagnoses: diagnoses
+          .filter((diagnosis) => diagnosis.patId === patient.id)
+          .map(({ id, code, title, type, status, onsetDate }) => ({ id, code, title, type, status, onsetDate })),
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/diagnoses/patient/{patientId}:
+ *   get:
+ *     summary: Get a patient's diagnoses
+ *     description: Available to the patient's care team and to the patient.
+ *     tags: [Diagnoses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, resolved]
+ *       - in: query
+ *         name: encounterId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Diagnoses, newest first
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!(await canViewRecord(req.user, patient))) return notCareTeam(res);
+
+    const filter = { patId: patient.id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.encounterId) filter.encounterId = req.query.encounterId;
+
+    const diagnoses = await Diagnosis.find(filter).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: diagnoses.length,
+      data: diagnoses,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/diagnoses:
+ *   post:
+ *     summary: Record a diagnosis for an encounter
+ *     description: The code must be in the ICD-10 catalog. An encounter can have one primary diagnosis and any number of secondary ones.
+ *     tags: [Diagnoses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - encounterId
+ *               - code
+ *             properties:
+ *               encounterId:
+ *                 type: integer
+ *               code:
+ *                 type: string
+ *                 example: E11.9
+ *               type:
+ *                 type: string
+ *                 enum: [primary, secondary]
+ *                 description: Defaults to secondary
+ *               onsetDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Diagnosis recorded
+ *       400:
+ *         description: Unknown code, invalid type or primary diagnosis already recorded
+ *       404:
+ *         description: Encounter not found or cancelled
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, doctor, async (req, res) => {
+  try {
+    const { onsetDate, notes } = req.body;
+    const type = req.body.type || 'secondary';
+
+    const diagnostician = await doctorForUser(req.user);
+    if (!diagnostician) return noDoctorProfile(res);
+
+    const encounter = req.body.encounterId
+      ? await Encounter.findOne({ id: req.body.encounterId, status: { $ne: 'cancelled' } })
+      : null;
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Encounter not found',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: encounter.patId });
+    if (!patient || !(await isCareTeam(req.user, patient))) return notCareTeam(res);
+
+    if (!DIAGNOSIS_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${DIAGNOSIS_TYPES.join(', ')}`,
+      });
+    }
+
+    const icd = await IcdCode.findOne({ code: normalizeCode(req.body.code), active: true });
+    if (!icd) {
+      return res.status(400).json({
+        success: false,
+        message: `ICD-10 code ${req.body.code} is not in the catalog`,
+      });
+    }
+
+    // Get highest diagnosis ID and increment by 1
+    const highestDiagnosis = await Diagnosis.findOne().sort('-id');
+    const newId = highestDiagnosis ? highestDiagnosis.id + 1 : 1;
+
+    let diagnosis;
+    try {
+      diagnosis = await Diagnosis.create({
+        id: newId,
+        patId: patient.id,
+        encounterId: encounter.id,
+        code: icd.code,
+        title: icd.title,
+        type,
+        onsetDate,
+        notes,
+        doctorId: diagnostician.id,
+        recordedBy: req.user.id,
+      });
+    } catch (createError) {
+      // The partial unique index allows one primary diagnosis per encounter
+      if (createError.code === 11000 && type === 'primary') return primaryTaken(res);
+      throw createError;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: diagnosis,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/diagnoses/{id}:
+ *   put:
+ *     summary: Change the type, onset date or notes of a diagnosis
+ *     description: Record a new diagnosis rather than changing the code.
+ *     tags: [Diagnoses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [primary, secondary]
+ *               onsetDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Diagnosis updated
+ *       400:
+ *         description: Invalid type or primary diagnosis already recorded
+ *       404:
+ *         description: Diagnosis not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, doctor, async (req, res) => {
+  try {
+    const diagnosis = await loadForDoctor(req, res);
+    if (!diagnosis) return;
+
+    const updates = {};
+    ['type', 'onsetDate', 'notes'].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (updates.type && !DIAGNOSIS_TYPES.includes(updates.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${DIAGNOSIS_TYPES.join(', ')}`,
+      });
+    }
+
+    let updatedDiagnosis;
+    try {
+      updatedDiagnosis = await Diagnosis.findOneAndUpdate(
+        { id: diagnosis.id },
+        updates,
+        { new: true, runValidators: true }
+      );
+    } catch (updateError) {
+      if (updateError.code === 11000) return primaryTaken(res);
+      throw updateError;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedDiagnosis,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/diagnoses/{id}/resolve:
+ *   post:
+ *     summary: Mark a diagnosis as resolved
+ *     tags: [Diagnoses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resolvedAt:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Diagnosis resolved
+ *       400:
+ *         description: Diagnosis already resolved
+ *       404:
+ *         description: Diagnosis not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/resolve', protect, doctor, async (req, res) => {
+  try {
+    const diagnosis = await loadForDoctor(req, res);
+    if (!diagnosis) return;
+
+    const resolvedDiagnosis = await Diagnosis.findOneAndUpdate(
+      { id: diagnosis.id, status: 'active' },
+      { status: 'resolved', resolvedAt: req.body.resolvedAt || new Date() },
+      { new: true, runValidators: true }
+    );
+    if (!resolvedDiagnosis) {
+      return res.status(400).json({
+        success: false,
+        message: 'Diagnosis is already resolved',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: resolvedDiagnosis,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
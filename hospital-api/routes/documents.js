@@ -0,0 +1,435 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const Document = require('../models/Document');
+const Patient = require('../models/Patient');
+const { protect, staff } = require('../middleware/authMiddleware');
+const { isCareTeam, canViewRecord } = require('../utils/careTeam');
+const { getStorageBackend } = require('../utils/storage');
+const { encounterForPatient } = require('../utils/encounters');
+const {
+  maxUploadBytes,
+  allowedContentTypes,
+  mediaType,
+  checksum,
+  safeFileName,
+} = require('../utils/documents');
+
+const CATEGORIES = Document.schema.path('category').enumValues;
+
+const documentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Document not found',
+});
+
+const notCareTeam = (res) => res.status(401).json({
+  success: false,
+  message: "Only the patient's care team can access these documents",
+});
+
+// Refuse unsupported content types before reading the body
+const checkContentType = (req, res, next) => {
+  const allowed = allowedContentTypes();
+  if (!allowed.includes(mediaType(req.headers['content-type']))) {
+    return res.status(415).json({
+      success: false,
+      message: `Content type must be one of: ${allowed.join(', ')}`,
+    });
+  }
+  next();
+};
+
+// Read the raw file body, answering in JSON when it is too large
+const readFile = (req, res, next) => {
+  const limit = maxUploadBytes();
+  express.raw({ type: () => true, limit })(req, res, (error) => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        success: false,
+        message: error.status === 413 ? `File is larger than ${limit} bytes` : 'Could not read the uploaded file',
+      });
+    }
+    next();
+  });
+};
+
+// Load a document with its patient, answering 404/401 unless the user may view it
+const loadDocument = async (req, res) => {
+  const document = await Document.findOne({ id: req.params.id });
+  if (!document) {
+    documentNotFound(res);
+    return null;
+  }
+
+  const patient = await Patient.findOne({ id: document.patId });
+  if (!patient || !(await canViewRecord(req.user, patient))) {
+    notCareTeam(res);
+    return null;
+  }
+  return { document, patient };
+};
+
+/**
+ * @swagger
+ * /api/documents/patient/{patientId}:
+ *   get:
+ *     summary: List documents attached to a patient
+ *     description: Available to the patient's care team and to the patient. Includes documents attached to the patient's encounters.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: encounterId
+ *         schema:
+ *           type: integer
+ *         description: Only documents attached to this encounter
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [report, imaging, consent, discharge_letter, other]
+ *     responses:
+ *       200:
+ *         description: Document metadata, newest first
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!(await canViewRecord(req.user, patient))) return notCareTeam(res);
+
+    const filter = { patId: patient.id };
+    if (req.query.encounterId) filter.encounterId = req.query.encounterId;
+    if (req.query.category) filter.category = req.query.category;
+
+    const documents = await Document.find(filter).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: documents.length,
+      data: documents,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/documents/{id}:
+ *   get:
+ *     summary: Get document metadata by ID
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Document metadata
+ *       404:
+ *         description: Document not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const loaded = await loadDocument(req, res);
+    if (!loaded) return;
+
+    res.status(200).json({
+      success: true,
+      data: loaded.document,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/documents/{id}/download:
+ *   get:
+ *     summary: Download a document
+ *     description: The stored file is checked against its SHA-256 checksum before it is sent.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File contents with its original content type
+ *       404:
+ *         description: Document not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error or stored file failed its checksum
+ */
+router.get('/:id/download', protect, async (req, res) => {
+  try {
+    const loaded = await loadDocument(req, res);
+    if (!loaded) return;
+    const { document } = loaded;
+
+    const data = await getStorageBackend(document.storage).get(document.storageKey);
+    if (checksum(data) !== document.checksum) {
+      return res.status(500).json({
+        success: false,
+        message: 'Stored file does not match its checksum',
+      });
+    }
+
+    res.set({
+      'Content-Type': document.contentType,
+      'Content-Length': data.length,
+      'Content-Disposition': `attachment; filename="${document.fileName}"`,
+      'X-Checksum-SHA256': document.checksum,
+    });
+    res.status(200).send(data);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/documents:
+ *   post:
+ *     summary: Upload a document for a patient or one of their encounters
+ *     description: The request body is the file itself, sent with its Content-Type. Accepted types come from DOCUMENT_CONTENT_TYPES (PDF, JPEG, PNG, TIFF and DICOM by default) and the size limit from DOCUMENT_MAX_BYTES (20 MB by default). Only the patient's care team can upload.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: encounterId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [report, imaging, consent, discharge_letter, other]
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Document stored; returns its metadata and checksum
+ *       400:
+ *         description: Empty file, missing file name or invalid category
+ *       404:
+ *         description: Patient or encounter not found
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: Content type not accepted
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, staff, checkContentType, readFile, async (req, res) => {
+  try {
+    const { patId, encounterId, title } = req.query;
+    const category = req.query.category || 'other';
+    const fileName = safeFileName(req.query.fileName);
+
+    const patient = await Patient.findOne({ id: patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!(await isCareTeam(req.user, patient))) return notCareTeam(res);
+
+    if (encounterId && !(await encounterForPatient(encounterId, patient.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Encounter not found for this patient',
+      });
+    }
+
+    if (!CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${CATEGORIES.join(', ')}`,
+      });
+    }
+
+    if (!fileName) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file name is required',
+      });
+    }
+
+    const data = req.body;
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The uploaded file is empty',
+      });
+    }
+
+    const backend = getStorageBackend();
+    const storageKey = `${patient.id}/${crypto.randomUUID()}`;
+    await backend.put(storageKey, data);
+
+    // Get highest document ID and increment by 1
+    const highestDocument = await Document.findOne().sort('-id');
+    const newId = highestDocument ? highestDocument.id + 1 : 1;
+
+    let document;
+    try {
+      document = await Document.create({
+        id: newId,
+        patId: patient.id,
+        encounterId,
+        category,
+        title,
+        fileName,
+        contentType: mediaType(req.headers['content-type']),
+        size: data.length,
+        checksum: checksum(data),
+        storage: backend.name,
+        storageKey,
+        uploadedBy: req.user.id,
+      });
+    } catch (createError) {
+      // Do not leave an orphaned file behind
+      await backend.remove(storageKey);
+      throw createError;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: document,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/documents/{id}:
+ *   delete:
+ *     summary: Delete a document and its stored file
+ *     description: Only the care team member who uploaded it or an admin can delete a document.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Document deleted
+ *       404:
+ *         description: Document not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', protect, staff, async (req, res) => {
+  try {
+    const loaded = await loadDocument(req, res);
+    if (!loaded) return;
+    const { document } = loaded;
+
+    if (req.user.role !== 'admin' && document.uploadedBy !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Only the uploader or an admin can delete a document',
+      });
+    }
+
+    // Remove the record first so a storage failure leaves no dangling reference
+    await Document.deleteOne({ id: document.id });
+    await getStorageBackend(document.storage).remove(document.storageKey);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
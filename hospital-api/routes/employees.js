@@ -1,31 +1,89 @@
 const express = require('express');
 const router = express.Router();
-const Medicine = require('../models/Medicine');
-const { protect, admin } = require('../middleware/authMiddleware');
+const Employee = require('../models/Employee');
+const User = require('../models/User');
+const Doctor = require('../models/Doctor');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const Payslip = require('../models/Payslip');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const { visibleEmployee } = require('../utils/payroll');
+
+const EMPLOYMENT_TYPES = ['full_time', 'part_time', 'contract', 'intern'];
+
+// Fields HR can change directly; status and history go through terminate and rehire
+const EDITABLE_FIELDS = ['dob', 'hireDate', 'salary', 'jobTitle', 'department', 'employmentType', 'manager'];
+
+const employeeNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Employee not found',
+});
+
+// Check a manager assignment, returning an error message if it is not allowed
+const checkManager = async (employeeId, managerId) => {
+  if (managerId === null || managerId === undefined) return null;
+
+  const manager = await Employee.findOne({ id: managerId });
+  if (!manager) return 'Manager not found';
+  if (manager.status !== 'active') return 'Manager is not an active employee';
+
+  // Walk up the reporting line so nobody ends up managing themselves
+  let current = manager;
+  while (current) {
+    if (current.id === employeeId) return 'An employee cannot report to themselves or to their own reports';
+    current = current.manager ? await Employee.findOne({ id: current.manager }) : null;
+  }
+  return null;
+};
 
 /**
  * @swagger
- * /api/medicines:
+ * /api/employees:
  *   get:
- *     summary: Get all medicines
- *     tags: [Medicines]
+ *     summary: Get all employees
+ *     description: Salary is only included for admins and on the employee's own record.
+ *     tags: [Employees]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, terminated]
+ *       - in: query
+ *         name: employmentType
+ *         schema:
+ *           type: string
+ *           enum: [full_time, part_time, contract, intern]
+ *       - in: query
+ *         name: manager
+ *         schema:
+ *           type: integer
+ *         description: Only direct reports of this employee
  *     responses:
  *       200:
- *         description: List of all medicines
+ *         description: List of employees
  *       401:
  *         description: Not authorized
  *       500:
  *         description: Server error
  */
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, staff, async (req, res) => {
   try {
-    const medicines = await Medicine.find();
+    const filter = {};
+    ['department', 'status', 'employmentType', 'manager'].forEach((field) => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+
+    const employees = await Employee.find(filter).sort('id');
     res.status(200).json({
       success: true,
-      count: medicines.length,
-      data: medicines,
+      count: employees.length,
+      data: employees.map((employee) => visibleEmployee(req.user, employee)),
     });
   } catch (error) {
     res.status(500).json({
@@ -38,10 +96,11 @@ router.get('/', protect, async (req, res) => {
 
 /**
  * @swagger
- * /api/medicines/{id}:
+ * /api/employees/{id}:
  *   get:
- *     summary: Get medicine by ID
- *     tags: [Medicines]
+ *     summary: Get employee by ID
+ *     description: Salary is only included for admins and on the employee's own record.
+ *     tags: [Employees]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -52,28 +111,28 @@ router.get('/', protect, async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Medicine found
+ *         description: Employee found, with the linked user's name and contact details
  *       404:
- *         description: Medicine not found
+ *         description: Employee not found
  *       401:
  *         description: Not authorized
  *       500:
  *         description: Server error
  */
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, staff, async (req, res) => {
   try {
-    const medicine = await Medicine.findOne({ id: req.params.id });
-    
-    if (!medicine) {
-      return res.status(404).json({
-        success: false,
-        message: 'Medicine not found',
-      });
-    }
+    const employee = await Employee.findOne({ id: req.params.id });
+    if (!employee) return employeeNotFound(res);
+
+    const user = await User.findOne({ id: employee.userId })
+      .select('id firstName lastName email cellNo role');
 
     res.status(200).json({
       success: true,
-      data: medicine,
+      data: {
+        ...visibleEmployee(req.user, employee),
+        user,
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -86,10 +145,10 @@ router.get('/:id', protect, async (req, res) => {
 
 /**
  * @swagger
- * /api/medicines:
+ * /api/employees:
  *   post:
- *     summary: Create new medicine
- *     tags: [Medicines]
+ *     summary: Create an employee record for a user
+ *     tags: [Employees]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -99,18 +158,37 @@ router.get('/:id', protect, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - name
- *               - price
+ *               - userId
+ *               - hireDate
  *             properties:
- *               name:
+ *               userId:
+ *                 type: integer
+ *               dob:
  *                 type: string
- *               price:
+ *                 format: date
+ *               hireDate:
+ *                 type: string
+ *                 format: date
+ *               salary:
  *                 type: number
+ *                 description: Monthly base salary
+ *               jobTitle:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *               employmentType:
+ *                 type: string
+ *                 enum: [full_time, part_time, contract, intern]
+ *               manager:
+ *                 type: integer
+ *                 description: Employee ID of the line manager
  *     responses:
  *       201:
- *         description: Medicine created successfully
+ *         description: Employee created successfully
  *       400:
- *         description: Invalid data
+ *         description: Invalid data, patient account, or user already has an employee record
+ *       404:
+ *         description: User not found
  *       401:
  *         description: Not authorized
  *       500:
@@ -118,21 +196,67 @@ router.get('/:id', protect, async (req, res) => {
  */
 router.post('/', protect, admin, async (req, res) => {
   try {
-    const { name, price } = req.body;
-    
-    // Get highest medicine ID and increment by 1
-    const highestMedicine = await Medicine.findOne().sort('-id');
-    const newId = highestMedicine ? highestMedicine.id + 1 : 1;
-    
-    const medicine = await Medicine.create({
+    const { userId, dob, hireDate, salary, jobTitle, department, employmentType, manager } = req.body;
+
+    // Check if user exists
+    const user = await User.findOne({ id: userId });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role === 'patient') {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient accounts cannot be employees',
+      });
+    }
+
+    const employeeExists = await Employee.findOne({ userId: user.id });
+    if (employeeExists) {
+      return res.status(400).json({
+        success: false,
+        message: `User already has employee record ${employeeExists.id}`,
+      });
+    }
+
+    if (employmentType !== undefined && !EMPLOYMENT_TYPES.includes(employmentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Employment type must be one of: ${EMPLOYMENT_TYPES.join(', ')}`,
+      });
+    }
+
+    // Get highest employee ID and increment by 1
+    const highestEmployee = await Employee.findOne().sort('-id');
+    const newId = highestEmployee ? highestEmployee.id + 1 : 1;
+
+    const managerError = await checkManager(newId, manager);
+    if (managerError) {
+      return res.status(400).json({
+        success: false,
+        message: managerError,
+      });
+    }
+
+    const employee = await Employee.create({
       id: newId,
-      name,
-      price
+      userId: user.id,
+      dob,
+      hireDate,
+      salary,
+      jobTitle,
+      department,
+      employmentType,
+      manager,
+      employmentHistory: [{ event: 'hire', at: hireDate, by: req.user.id }],
     });
-    
+
     res.status(201).json({
       success: true,
-      data: medicine,
+      data: employee,
     });
   } catch (error) {
     res.status(500).json({
@@ -145,10 +269,11 @@ router.post('/', protect, admin, async (req, res) => {
 
 /**
  * @swagger
- * /api/medicines/{id}:
+ * /api/employees/{id}:
  *   put:
- *     summary: Update medicine
- *     tags: [Medicines]
+ *     summary: Update employee details
+ *     description: Status and employment history change only through terminate and rehire.
+ *     tags: [Employees]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -164,15 +289,31 @@ router.post('/', protect, admin, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               name:
+ *               dob:
+ *                 type: string
+ *                 format: date
+ *               hireDate:
  *                 type: string
- *               price:
+ *                 format: date
+ *               salary:
  *                 type: number
+ *               jobTitle:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *               employmentType:
+ *                 type: string
+ *                 enum: [full_time, part_time, contract, intern]
+ *               manager:
+ *                 type: integer
+ *                 nullable: true
  *     responses:
  *       200:
- *         description: Medicine updated successfully
+ *         description: Employee updated successfully
+ *       400:
+ *         description: Invalid data or manager assignment
  *       404:
- *         description: Medicine not found
+ *         description: Employee not found
  *       401:
  *         description: Not authorized
  *       500:
@@ -180,24 +321,51 @@ router.post('/', protect, admin, async (req, res) => {
  */
 router.put('/:id', protect, admin, async (req, res) => {
   try {
-    const medicine = await Medicine.findOne({ id: req.params.id });
-    
-    if (!medicine) {
-      return res.status(404).json({
+    const employee = await Employee.findOne({ id: req.params.id });
+    if (!employee) return employeeNotFound(res);
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update; ${EDITABLE_FIELDS.join(', ')} can be changed`,
+      });
+    }
+
+    if (updates.employmentType !== undefined && !EMPLOYMENT_TYPES.includes(updates.employmentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Employment type must be one of: ${EMPLOYMENT_TYPES.join(', ')}`,
+      });
+    }
+
+    const managerError = await checkManager(employee.id, updates.manager);
+    if (managerError) {
+      return res.status(400).json({
         success: false,
-        message: 'Medicine not found',
+        message: managerError,
       });
     }
-    
-    const updatedMedicine = await Medicine.findOneAndUpdate(
-      { id: req.params.id },
-      req.body,
+
+    const update = { $set: updates };
+    if (updates.manager === null) {
+      delete updates.manager;
+      update.$unset = { manager: 1 };
+    }
+
+    const updatedEmployee = await Employee.findOneAndUpdate(
+      { id: employee.id },
+      update,
       { new: true, runValidators: true }
     );
-    
+
     res.status(200).json({
       success: true,
-      data: updatedMedicine,
+      data: updatedEmployee,
     });
   } catch (error) {
     res.status(500).json({
@@ -210,10 +378,202 @@ router.put('/:id', protect, admin, async (req, res) => {
 
 /**
  * @swagger
- * /api/medicines/{id}:
+ * /api/employees/{id}/terminate:
+ *   post:
+ *     summary: Terminate an active employee
+ *     description: Scheduled shifts after the termination date are cancelled. Direct reports keep the manager link until they are reassigned.
+ *     tags: [Employees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Last moment of employment (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Employee terminated
+ *       400:
+ *         description: Missing reason or employee is not active
+ *       404:
+ *         description: Employee not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/terminate', protect, admin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A termination reason is required',
+      });
+    }
+
+    const employee = await Employee.findOneAndUpdate(
+      { id: req.params.id, status: 'active' },
+      {
+        $set: { status: 'terminated', terminationDate: date, terminationReason: reason },
+        $push: { employmentHistory: { event: 'terminate', at: date, reason, by: req.user.id } },
+      },
+      { new: true }
+    );
+
+    if (!employee) {
+      const exists = await Employee.exists({ id: req.params.id });
+      if (!exists) return employeeNotFound(res);
+      return res.status(400).json({
+        success: false,
+        message: 'Employee is already terminated',
+      });
+    }
+
+    const { modifiedCount } = await ShiftAssignment.updateMany(
+      { empId: employee.id, status: 'scheduled', start: { $gte: date } },
+      { status: 'cancelled' }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: employee,
+      cancelledShifts: modifiedCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employees/{id}/rehire:
+ *   post:
+ *     summary: Rehire a terminated employee
+ *     description: The hire date restarts leave accrual; salary, job title, department and employment type can be changed at the same time.
+ *     tags: [Employees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hireDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               reason:
+ *                 type: string
+ *               salary:
+ *                 type: number
+ *               jobTitle:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *               employmentType:
+ *                 type: string
+ *                 enum: [full_time, part_time, contract, intern]
+ *     responses:
+ *       200:
+ *         description: Employee rehired
+ *       400:
+ *         description: Employee is not terminated or invalid data
+ *       404:
+ *         description: Employee not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/rehire', protect, admin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const hireDate = body.hireDate ? new Date(body.hireDate) : new Date();
+
+    if (body.employmentType !== undefined && !EMPLOYMENT_TYPES.includes(body.employmentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Employment type must be one of: ${EMPLOYMENT_TYPES.join(', ')}`,
+      });
+    }
+
+    const updates = { status: 'active', hireDate };
+    ['salary', 'jobTitle', 'department', 'employmentType'].forEach((field) => {
+      if (body[field] !== undefined) updates[field] = body[field];
+    });
+
+    const employee = await Employee.findOneAndUpdate(
+      { id: req.params.id, status: 'terminated', terminationDate: { $lte: hireDate } },
+      {
+        $set: updates,
+        $unset: { terminationDate: 1, terminationReason: 1 },
+        $push: { employmentHistory: { event: 'rehire', at: hireDate, reason: body.reason, by: req.user.id } },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!employee) {
+      const existing = await Employee.findOne({ id: req.params.id });
+      if (!existing) return employeeNotFound(res);
+      return res.status(400).json({
+        success: false,
+        message: existing.status === 'active'
+          ? 'Employee is already active'
+          : 'Rehire date cannot be before the termination date',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: employee,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/employees/{id}:
  *   delete:
- *     summary: Delete medicine
- *     tags: [Medicines]
+ *     summary: Delete an employee record entered by mistake
+ *     description: Employees with a doctor profile, shifts, payslips or direct reports must be terminated instead.
+ *     tags: [Employees]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -224,9 +584,11 @@ router.put('/:id', protect, admin, async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Medicine deleted successfully
+ *         description: Employee deleted successfully
+ *       400:
+ *         description: Employee has records that depend on it
  *       404:
- *         description: Medicine not found
+ *         description: Employee not found
  *       401:
  *         description: Not authorized
  *       500:
@@ -234,20 +596,28 @@ router.put('/:id', protect, admin, async (req, res) => {
  */
 router.delete('/:id', protect, admin, async (req, res) => {
   try {
-    const medicine = await Medicine.findOne({ id: req.params.id });
-    
-    if (!medicine) {
-      return res.status(404).json({
+    const employee = await Employee.findOne({ id: req.params.id });
+    if (!employee) return employeeNotFound(res);
+
+    const [doctor, shift, payslip, report] = await Promise.all([
+      Doctor.exists({ empId: employee.id }),
+      ShiftAssignment.exists({ empId: employee.id }),
+      Payslip.exists({ empId: employee.id }),
+      Employee.exists({ manager: employee.id }),
+    ]);
+
+    if (doctor || shift || payslip || report) {
+      return res.status(400).json({
         success: false,
-        message: 'Medicine not found',
+        message: 'Employee has doctor, roster, payroll or reporting records; terminate instead',
       });
     }
 
-    await Medicine.findOneAndDelete({ id: req.params.id });
-    
+    await Employee.findOneAndDelete({ id: employee.id });
+
     res.status(200).json({
       success: true,
-      message: 'Medicine deleted successfully',
+      message: 'Employee deleted successfully',
     });
   } catch (error) {
     res.status(500).json({
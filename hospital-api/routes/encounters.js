@@ -0,0 +1,560 @@
+const express = require('express');
+const router = express.Router();
+const Encounter = require('../models/Encounter');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Ward = require('../models/Ward');
+const { protect, staff } = require('../middleware/authMiddleware');
+const { canViewRecord } = require('../utils/careTeam');
+const { openEncounter } = require('../utils/encounters');
+const { doctorForUser } = require('../utils/prescriptions');
+
+// Inpatient encounters are opened by admission and finished by discharge
+const MANUAL_TYPES = Encounter.schema.path('type').enumValues.filter((type) => type !== 'inpatient');
+
+// Naming the attending doctor puts them on the care team and bills a consultation,
+// so doctors may only name themselves; admins and front-desk employees may name anyone
+const canNameDoctor = async (user, doctor) => {
+  if (user.role !== 'doctor') return true;
+  const self = await doctorForUser(user);
+  return Boolean(self && self.id === doctor.id);
+};
+
+const notAttending = (res) => res.status(401).json({
+  success: false,
+  message: 'Doctors can only name themselves as the attending doctor',
+});
+
+const encounterNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Encounter not found',
+});
+
+const notCareTeam = (res) => res.status(401).json({
+  success: false,
+  message: "Only the patient's care team can view this encounter",
+});
+
+/**
+ * @swagger
+ * /api/encounters/patient/{patientId}:
+ *   get:
+ *     summary: Get a patient's encounters
+ *     description: Available to the patient's care team and to the patient.
+ *     tags: [Encounters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [outpatient, inpatient, emergency]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_progress, finished, cancelled]
+ *     responses:
+ *       200:
+ *         description: Encounters, most recent first
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!(await canViewRecord(req.user, patient))) return notCareTeam(res);
+
+    const filter = { patId: patient.id };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.status) filter.status = req.query.status;
+
+    const encounters = await Encounter.find(filter).sort('-startedAt');
+
+    res.status(200).json({
+      success: true,
+      count: encounters.length,
+      data: encounters,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/encounters/doctor/{doctorId}:
+ *   get:
+ *     summary: Get encounters a doctor is attending
+ *     tags: [Encounters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_progress, finished, cancelled]
+ *         description: Defaults to in_progress
+ *     responses:
+ *       200:
+ *         description: Encounters, most recent first
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/doctor/:doctorId', protect, staff, async (req, res) => {
+  try {
+    const encounters = await Encounter.find({
+      doctorId: req.params.doctorId,
+      status: req.query.status || 'in_progress',
+    }).sort('-startedAt');
+
+    res.status(200).json({
+      success: true,
+      count: encounters.length,
+      data: encounters,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/encounters/{id}:
+ *   get:
+ *     summary: Get encounter by ID
+ *     tags: [Encounters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Encounter found
+ *       404:
+ *         description: Encounter not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const encounter = await Encounter.findOne({ id: req.params.id });
+    if (!encounter) return encounterNotFound(res);
+
+    const patient = await Patient.findOne({ id: encounter.patId });
+    if (!patient || !(await canViewRecord(req.user, patient))) return notCareTeam(res);
+
+    res.status(200).json({
+      success: true,
+      data: encounter,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/encounters:
+ *   post:
+ *     summary: Start an outpatient or emergency encounter
+ *     description: Outpatient encounters are also started by appointment check-in. Inpatient encounters are only started by admission and finished by discharge. Doctors can only name themselves as the attending doctor.
+ *     tags: [Encounters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patId
+ *               - type
+ *               - doctorId
+ *             properties:
+ *               patId:
+ *                 type: integer
+ *               type:
+ *                 type: string
+ *                 enum: [outpatient, emergency]
+ *               doctorId:
+ *                 type: integer
+ *                 description: Attending doctor
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               wardId:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Encounter started
+ *       400:
+ *         description: Invalid type or start time
+ *       404:
+ *         description: Patient, doctor or ward not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, staff, async (req, res) => {
+  try {
+    const { patId, type, doctorId, wardId, location, reason } = req.body;
+
+    const patient = await Patient.findOne({ id: patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (!MANUAL_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${MANUAL_TYPES.join(', ')}; inpatient encounters start on admission`,
+      });
+    }
+
+    const doctor = await Doctor.findOne({ id: doctorId });
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+      });
+    }
+
+    if (!(await canNameDoctor(req.user, doctor))) return notAttending(res);
+
+    if (wardId && !(await Ward.exists({ id: wardId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found',
+      });
+    }
+
+    const startedAt = req.body.startedAt ? new Date(req.body.startedAt) : new Date();
+    if (Number.isNaN(startedAt.getTime()) || startedAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start time cannot be in the future',
+      });
+    }
+
+    const encounter = await openEncounter({
+      patId: patient.id,
+      type,
+      doctorId: doctor.id,
+      startedAt,
+      wardId,
+      location,
+      reason,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: encounter,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/encounters/{id}:
+ *   put:
+ *     summary: Update the attending doctor, location or reason of an encounter in progress
+ *     tags: [Encounters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               doctorId:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Encounter updated
+ *       400:
+ *         description: Encounter is no longer in progress
+ *       404:
+ *         description: Encounter or doctor not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, staff, async (req, res) => {
+  try {
+    const encounter = await Encounter.findOne({ id: req.params.id });
+    if (!encounter) return encounterNotFound(res);
+
+    const updates = {};
+    ['location', 'reason'].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (req.body.doctorId !== undefined) {
+      const doctor = await Doctor.findOne({ id: req.body.doctorId });
+      if (!doctor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found',
+        });
+      }
+      if (!(await canNameDoctor(req.user, doctor))) return notAttending(res);
+      updates.doctorId = doctor.id;
+    }
+
+    const updatedEncounter = await Encounter.findOneAndUpdate(
+      { id: encounter.id, status: 'in_progress' },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!updatedEncounter) {
+      return res.status(400).json({
+        success: false,
+        message: `Encounter is already ${encounter.status}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedEncounter,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/encounters/{id}/finish:
+ *   post:
+ *     summary: Finish an encounter
+ *     description: Inpatient encounters are finished by discharging the patient.
+ *     tags: [Encounters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               endedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Encounter finished
+ *       400:
+ *         description: Encounter not in progress, inpatient, or end before start
+ *       404:
+ *         description: Encounter not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/finish', protect, staff, async (req, res) => {
+  try {
+    const encounter = await Encounter.findOne({ id: req.params.id });
+    if (!encounter) return encounterNotFound(res);
+
+    if (encounter.type === 'inpatient') {
+      return res.status(400).json({
+        success: false,
+        message: 'Inpatient encounters finish when the patient is discharged',
+      });
+    }
+
+    const endedAt = req.body.endedAt ? new Date(req.body.endedAt) : new Date();
+    if (Number.isNaN(endedAt.getTime()) || endedAt < encounter.startedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after the start',
+      });
+    }
+
+    const finishedEncounter = await Encounter.findOneAndUpdate(
+      { id: encounter.id, status: 'in_progress' },
+      { status: 'finished', endedAt, endedBy: req.user.id },
+      { new: true }
+    );
+    if (!finishedEncounter) {
+      return res.status(400).json({
+        success: false,
+        message: `Encounter is already ${encounter.status}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: finishedEncounter,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/encounters/{id}/cancel:
+ *   post:
+ *     summary: Cancel an encounter recorded in error
+ *     description: Cancelled encounters are not billed and take no further records.
+ *     tags: [Encounters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Encounter cancelled
+ *       400:
+ *         description: Reason missing or encounter not in progress
+ *       404:
+ *         description: Encounter not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/cancel', protect, staff, async (req, res) => {
+  try {
+    const encounter = await Encounter.findOne({ id: req.params.id });
+    if (!encounter) return encounterNotFound(res);
+
+    if (!req.body.reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancellation reason is required',
+      });
+    }
+
+    const cancelledEncounter = await Encounter.findOneAndUpdate(
+      { id: encounter.id, status: 'in_progress' },
+      { status: 'cancelled', endedAt: new Date(), endedBy: req.user.id, cancelReason: req.body.reason },
+      { new: true }
+    );
+    if (!cancelledEncounter) {
+      return res.status(400).json({
+        success: false,
+        message: `Encounter is already ${encounter.status}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: cancelledEncounter,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
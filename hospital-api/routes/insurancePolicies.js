@@ -0,0 +1,295 @@
+const express = require('express');
+const router = express.Router();
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Patient = require('../models/Patient');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const { hasPayerAdapter } = require('../utils/payers');
+
+const unknownAdapter = (res, adapter) => res.status(400).json({
+  success: false,
+  message: `Unknown payer adapter: ${adapter}`,
+});
+
+/**
+ * @swagger
+ * /api/insurance-policies/patient/{patientId}:
+ *   get:
+ *     summary: Get insurance policies by patient ID
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of insurance policies for the patient
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const policies = await InsurancePolicy.find({ patId: req.params.patientId }).sort('-validTo');
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/insurance-policies/{id}:
+ *   get:
+ *     summary: Get insurance policy by ID
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Insurance policy found
+ *       404:
+ *         description: Insurance policy not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const policy = await InsurancePolicy.findOne({ id: req.params.id });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance policy not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/insurance-policies:
+ *   post:
+ *     summary: Attach an insurance policy to a patient
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patId
+ *               - payer
+ *               - policyNumber
+ *               - coveragePercent
+ *               - validFrom
+ *               - validTo
+ *             properties:
+ *               patId:
+ *                 type: integer
+ *               payer:
+ *                 type: string
+ *               policyNumber:
+ *                 type: string
+ *               coveragePercent:
+ *                 type: number
+ *               coPay:
+ *                 type: number
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               validTo:
+ *                 type: string
+ *                 format: date
+ *               adapter:
+ *                 type: string
+ *                 description: Payer adapter used to submit claims (defaults to PAYER_ADAPTER)
+ *     responses:
+ *       201:
+ *         description: Insurance policy created successfully
+ *       400:
+ *         description: Invalid data, unknown adapter or duplicate policy number
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, staff, async (req, res) => {
+  try {
+    const { patId, payer, policyNumber, coveragePercent, coPay, validFrom, validTo, adapter } = req.body;
+
+    // An undefined id would match the first patient
+    const patient = patId === undefined || patId === null ? null : await Patient.findOne({ id: patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (new Date(validTo) < new Date(validFrom)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Policy validity must end after it starts',
+      });
+    }
+
+    if (adapter && !hasPayerAdapter(adapter)) return unknownAdapter(res, adapter);
+
+    const policyExists = await InsurancePolicy.findOne({ payer, policyNumber });
+    if (policyExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Policy already exists with this payer and policy number',
+      });
+    }
+
+    // Get highest policy ID and increment by 1
+    const highestPolicy = await InsurancePolicy.findOne().sort('-id');
+    const newId = highestPolicy ? highestPolicy.id + 1 : 1;
+
+    const policy = await InsurancePolicy.create({
+      id: newId,
+      patId,
+      payer,
+      policyNumber,
+      coveragePercent,
+      coPay,
+      validFrom,
+      validTo,
+      adapter
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/insurance-policies/{id}:
+ *   put:
+ *     summary: Update insurance policy
+ *     tags: [Insurance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               coveragePercent:
+ *                 type: number
+ *               coPay:
+ *                 type: number
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               validTo:
+ *                 type: string
+ *                 format: date
+ *               adapter:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Insurance policy updated successfully
+ *       400:
+ *         description: Unknown adapter
+ *       404:
+ *         description: Insurance policy not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const policy = await InsurancePolicy.findOne({ id: req.params.id });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Insurance policy not found',
+      });
+    }
+
+    // The patient and policy identity cannot be changed once attached
+    const { patId, payer, policyNumber, ...updates } = req.body;
+
+    if (updates.adapter && !hasPayerAdapter(updates.adapter)) return unknownAdapter(res, updates.adapter);
+
+    const updatedPolicy = await InsurancePolicy.findOneAndUpdate(
+      { id: req.params.id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: updatedPolicy,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const Invoice = require('../models/Invoice');
+const Patient = require('../models/Patient');
+const Claim = require('../models/Claim');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const {
+  stayEnd,
+  buildLineItems,
+  computeTotals,
+  findActivePolicy,
+  splitShares,
+  netPaidByInvoice,
+  recomputePaymentStatus,
+} = require('../utils/billing');
+
+/**
+ * @swagger
+ * /api/invoices/generate:
+ *   post:
+ *     summary: Generate an itemized invoice for a patient's current stay
+ *     description: If the patient has an active insurance policy the total is split into payer and patient shares.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patId
+ *             properties:
+ *               patId:
+ *                 type: integer
+ *               taxRate:
+ *                 type: number
+ *                 description: Fraction applied to the subtotal (e.g. 0.05). Defaults to INVOICE_TAX_RATE.
+ *     responses:
+ *       201:
+ *         description: Invoice generated successfully
+ *       400:
+ *         description: Invalid data or an issued invoice already exists for this stay
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/generate', protect, staff, async (req, res) => {
+  try {
+    const { patId } = req.body;
+    const taxRate = req.body.taxRate !== undefined
+      ? Number(req.body.taxRate)
+      : Number(process.env.INVOICE_TAX_RATE || 0);
+
+    if (Number.isNaN(taxRate) || taxRate < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tax rate must be a non-negative number',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    // Only one live invoice per stay; void the old one to regenerate
+    const existingInvoice = await Invoice.findOne({
+      patId: patient.id,
+      admissionDate: patient.dateOfAdm,
+      status: 'issued',
+    });
+    if (existingInvoice) {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice ${existingInvoice.id} is already issued for this stay; void it before regenerating`,
+      });
+    }
+
+    const periodEnd = stayEnd(patient);
+    const lineItems = await buildLineItems(patient, periodEnd);
+    const totals = computeTotals(lineItems, taxRate);
+    const policy = await findActivePolicy(patient.id, periodEnd);
+
+    // Get highest invoice ID and increment by 1
+    const highestInvoice = await Invoice.findOne().sort('-id');
+    const newId = highestInvoice ? highestInvoice.id + 1 : 1;
+
+    const invoice = await Invoice.create({
+      id: newId,
+      patId: patient.id,
+      admissionDate: patient.dateOfAdm,
+      periodEnd,
+      lineItems,
+      taxRate,
+      ...totals,
+      policyId: policy ? policy.id : undefined,
+      ...splitShares(totals.total, policy),
+      generatedBy: req.user.id,
+    });
+
+    await recomputePaymentStatus(patient.id);
+
+    res.status(201).json({
+      success: true,
+      data: invoice,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invoices/patient/{patientId}:
+ *   get:
+ *     summary: Get invoices by patient ID
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of invoices for the patient
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ patId: req.params.patientId }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      data: invoices,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Get invoice by ID
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoice found
+ *       404:
+ *         description: Invoice not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ id: req.params.id });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invoices/{id}/void:
+ *   post:
+ *     summary: Void an issued invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invoice voided successfully
+ *       400:
+ *         description: Missing reason, invoice already void, payments not yet refunded or a claim still open
+ *       404:
+ *         description: Invoice not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/void', protect, admin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to void an invoice',
+      });
+    }
+
+    const invoice = await Invoice.findOne({ id: req.params.id });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already void',
+      });
+    }
+
+    const netPaid = (await netPaidByInvoice([invoice.id])).get(invoice.id);
+    if (netPaid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund payments received against this invoice before voiding it',
+      });
+    }
+
+    // A claim in progress would otherwise settle against the void invoice
+    const openClaim = await Claim.findOne({
+      invoiceId: invoice.id,
+      status: { $nin: ['rejected', 'settled'] },
+    });
+    if (openClaim) {
+      return res.status(400).json({
+        success: false,
+        message: `Claim ${openClaim.id} is open on this invoice; it must be rejected before voiding`,
+      });
+    }
+
+    invoice.status = 'void';
+    invoice.voidReason = reason;
+    invoice.voidedBy = req.user.id;
+    invoice.voidedAt = new Date();
+    await invoice.save();
+
+    await recomputePaymentStatus(invoice.patId);
+
+    res.status(200).json({
+      success: true,
+      data: invoice,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,919 @@
+const express = require('express');
+const router = express.Router();
+const LabTest = require('../models/LabTest');
+const LabOrder = require('../models/LabOrder');
+const Patient = require('../models/Patient');
+const { protect, admin, doctor, staff } = require('../middleware/authMiddleware');
+const { doctorForUser } = require('../utils/prescriptions');
+const { PENDING_STATUSES, orderedTests, flagResult, resultStatus } = require('../utils/lab');
+const { encounterForPatient } = require('../utils/encounters');
+
+// Catalog fields an admin can set
+const TEST_FIELDS = ['code', 'name', 'specimen', 'unit', 'referenceLow', 'referenceHigh', 'normalValues', 'price', 'turnaroundHours', 'active'];
+
+const testNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Lab test not found',
+});
+
+const orderNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Lab order not found',
+});
+
+const noDoctorProfile = (res) => res.status(401).json({
+  success: false,
+  message: 'Only doctors with a doctor profile can order lab tests',
+});
+
+const pickTestFields = (body) => {
+  const fields = {};
+  TEST_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const invalidRange = (fields) => fields.referenceLow !== undefined && fields.referenceHigh !== undefined
+  && fields.referenceLow !== null && fields.referenceHigh !== null
+  && Number(fields.referenceLow) > Number(fields.referenceHigh);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LabTest:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *         name:
+ *           type: string
+ *         specimen:
+ *           type: string
+ *           example: blood
+ *         unit:
+ *           type: string
+ *         referenceLow:
+ *           type: number
+ *         referenceHigh:
+ *           type: number
+ *         normalValues:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Text results counted as normal, for qualitative tests
+ *         price:
+ *           type: number
+ *         turnaroundHours:
+ *           type: number
+ *         active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/lab/tests:
+ *   get:
+ *     summary: Get the lab test catalog
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Catalog tests by code
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/tests', protect, staff, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+    const tests = await LabTest.find(filter).sort('code');
+
+    res.status(200).json({
+      success: true,
+      count: tests.length,
+      data: tests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/tests/{id}:
+ *   get:
+ *     summary: Get lab test by ID
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lab test found
+ *       404:
+ *         description: Lab test not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/tests/:id', protect, staff, async (req, res) => {
+  try {
+    const test = await LabTest.findOne({ id: req.params.id });
+    if (!test) return testNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: test,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/tests:
+ *   post:
+ *     summary: Add a test to the catalog
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/LabTest'
+ *               - required:
+ *                   - code
+ *                   - name
+ *                   - specimen
+ *                   - price
+ *     responses:
+ *       201:
+ *         description: Lab test created
+ *       400:
+ *         description: Invalid data, reference range or duplicate code
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/tests', protect, admin, async (req, res) => {
+  try {
+    const fields = pickTestFields(req.body);
+
+    if (!fields.code || !fields.name || !fields.specimen || !(Number(fields.price) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code, name, specimen and price are required',
+      });
+    }
+
+    if (invalidRange(fields)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reference range low must not exceed high',
+      });
+    }
+
+    const testExists = await LabTest.findOne({ code: String(fields.code).trim().toUpperCase() });
+    if (testExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lab test already exists with this code',
+      });
+    }
+
+    // Get highest lab test ID and increment by 1
+    const highestTest = await LabTest.findOne().sort('-id');
+    const newId = highestTest ? highestTest.id + 1 : 1;
+
+    const test = await LabTest.create({ id: newId, ...fields });
+
+    res.status(201).json({
+      success: true,
+      data: test,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/tests/{id}:
+ *   put:
+ *     summary: Update a catalog test
+ *     description: Orders keep the reference range and price they were placed with. Set active to false to stop new orders.
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LabTest'
+ *     responses:
+ *       200:
+ *         description: Lab test updated
+ *       400:
+ *         description: Invalid reference range or duplicate code
+ *       404:
+ *         description: Lab test not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/tests/:id', protect, admin, async (req, res) => {
+  try {
+    const test = await LabTest.findOne({ id: req.params.id });
+    if (!test) return testNotFound(res);
+
+    const updates = pickTestFields(req.body);
+    const range = {
+      referenceLow: updates.referenceLow !== undefined ? updates.referenceLow : test.referenceLow,
+      referenceHigh: updates.referenceHigh !== undefined ? updates.referenceHigh : test.referenceHigh,
+    };
+    if (invalidRange(range)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reference range low must not exceed high',
+      });
+    }
+
+    if (updates.code) {
+      const codeTaken = await LabTest.findOne({ code: String(updates.code).trim().toUpperCase(), id: { $ne: test.id } });
+      if (codeTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Lab test already exists with this code',
+        });
+      }
+    }
+
+    const updatedTest = await LabTest.findOneAndUpdate(
+      { id: test.id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: updatedTest,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/orders/pending:
+ *   get:
+ *     summary: Get the signed-in doctor's lab orders still awaiting results
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending orders, urgent first, then oldest first
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/orders/pending', protect, doctor, async (req, res) => {
+  try {
+    const orderer = await doctorForUser(req.user);
+    if (!orderer) return noDoctorProfile(res);
+
+    const orders = await LabOrder.find({ doctorId: orderer.id, status: { $in: PENDING_STATUSES } })
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      data: orders,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/orders/abnormal:
+ *   get:
+ *     summary: Get the signed-in doctor's lab orders with results outside the reference range
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only orders placed on or after this date
+ *     responses:
+ *       200:
+ *         description: Orders with only their flagged tests, newest first
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/orders/abnormal', protect, doctor, async (req, res) => {
+  try {
+    const orderer = await doctorForUser(req.user);
+    if (!orderer) return noDoctorProfile(res);
+
+    const filter = { doctorId: orderer.id, abnormal: true };
+    if (req.query.from) filter.createdAt = { $gte: new Date(req.query.from) };
+
+    const orders = await LabOrder.find(filter).sort('-createdAt');
+    const data = orders.map((order) => ({
+      ...order.toObject(),
+      tests: order.tests.filter((test) => test.flag && test.flag !== 'normal'),
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/orders/patient/{patientId}:
+ *   get:
+ *     summary: Get lab orders and results of a patient
+ *     description: Patients can only view their own orders.
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ordered, collected, partially_resulted, resulted, cancelled]
+ *     responses:
+ *       200:
+ *         description: Lab orders, newest first
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/orders/patient/:patientId', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (req.user.role === 'patient' && patient.userId !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view these lab orders',
+      });
+    }
+
+    const filter = { patId: patient.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const orders = await LabOrder.find(filter).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      data: orders,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}:
+ *   get:
+ *     summary: Get lab order by ID
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lab order found
+ *       404:
+ *         description: Lab order not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/orders/:id', protect, staff, async (req, res) => {
+  try {
+    const order = await LabOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/orders:
+ *   post:
+ *     summary: Order lab tests for a patient
+ *     description: Reference ranges and prices are copied from the catalog when the order is placed.
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patId
+ *               - testIds
+ *             properties:
+ *               patId:
+ *                 type: integer
+ *               testIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               encounterId:
+ *                 type: integer
+ *                 description: Encounter the tests were ordered during
+ *               priority:
+ *                 type: string
+ *                 enum: [routine, urgent]
+ *               clinicalNotes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Lab order placed
+ *       400:
+ *         description: No tests, duplicate or inactive tests
+ *       404:
+ *         description: Patient or encounter not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/orders', protect, doctor, async (req, res) => {
+  try {
+    const { patId, encounterId, priority, clinicalNotes } = req.body;
+
+    const orderer = await doctorForUser(req.user);
+    if (!orderer) return noDoctorProfile(res);
+
+    const patient = await Patient.findOne({ id: patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (encounterId && !(await encounterForPatient(encounterId, patient.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Encounter not found for this patient',
+      });
+    }
+
+    const { tests, error } = await orderedTests(req.body.testIds);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Get highest lab order ID and increment by 1
+    const highestOrder = await LabOrder.findOne().sort('-id');
+    const newId = highestOrder ? highestOrder.id + 1 : 1;
+
+    const order = await LabOrder.create({
+      id: newId,
+      patId: patient.id,
+      doctorId: orderer.id,
+      encounterId,
+      priority,
+      clinicalNotes,
+      tests,
+      orderedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}/collect:
+ *   post:
+ *     summary: Record sample collection for a lab order
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sampleId:
+ *                 type: string
+ *                 description: Label on the sample container
+ *               collectedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Sample collected
+ *       400:
+ *         description: Sample already collected or order cancelled
+ *       404:
+ *         description: Lab order not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/orders/:id/collect', protect, staff, async (req, res) => {
+  try {
+    const order = await LabOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    const collectedAt = req.body.collectedAt ? new Date(req.body.collectedAt) : new Date();
+    if (Number.isNaN(collectedAt.getTime()) || collectedAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection time cannot be in the future',
+      });
+    }
+
+    const collectedOrder = await LabOrder.findOneAndUpdate(
+      { id: order.id, status: 'ordered' },
+      { status: 'collected', sampleId: req.body.sampleId, collectedAt, collectedBy: req.user.id },
+      { new: true }
+    );
+    if (!collectedOrder) {
+      return res.status(400).json({
+        success: false,
+        message: `Lab order is already ${order.status}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: collectedOrder,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}/results:
+ *   post:
+ *     summary: Record results for tests on a lab order
+ *     description: Each result is flagged against the reference range copied onto the order. Results can be entered in several batches; once recorded a result cannot be changed.
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - results
+ *             properties:
+ *               results:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - testId
+ *                   properties:
+ *                     testId:
+ *                       type: integer
+ *                     value:
+ *                       type: number
+ *                     textValue:
+ *                       type: string
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Results recorded with their flags
+ *       400:
+ *         description: Sample not collected, test not on the order, already resulted or invalid value
+ *       404:
+ *         description: Lab order not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/orders/:id/results', protect, staff, async (req, res) => {
+  try {
+    const order = await LabOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    if (!['collected', 'partially_resulted'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: order.status === 'ordered'
+          ? 'Sample has not been collected yet'
+          : `Lab order is already ${order.status}`,
+      });
+    }
+
+    const { results } = req.body;
+    if (!Array.isArray(results) || results.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one result is required',
+      });
+    }
+
+    const tests = order.tests.map((test) => test.toObject());
+    const now = new Date();
+
+    for (const result of results) {
+      const test = tests.find((candidate) => candidate.testId === Number(result.testId));
+      if (!test) {
+        return res.status(400).json({
+          success: false,
+          message: `Test ${result.testId} is not on this order`,
+        });
+      }
+      if (test.status !== 'ordered') {
+        return res.status(400).json({
+          success: false,
+          message: `${test.code} is already ${test.status}`,
+        });
+      }
+
+      const { error, ...flagged } = flagResult(test, result);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      Object.assign(test, flagged, {
+        status: 'resulted',
+        resultNotes: result.notes,
+        resultedAt: now,
+        resultedBy: req.user.id,
+      });
+    }
+
+    const updatedOrder = await LabOrder.findOneAndUpdate(
+      // Only apply if no other results were recorded meanwhile
+      { id: order.id, updatedAt: order.updatedAt },
+      {
+        tests,
+        status: resultStatus(tests),
+        abnormal: tests.some((test) => test.flag && test.flag !== 'normal'),
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updatedOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lab order changed while recording results; please retry',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedOrder,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel a lab order before any results are recorded
+ *     description: Only the ordering doctor or an admin can cancel. Cancelled tests are not billed.
+ *     tags: [Lab]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lab order cancelled
+ *       400:
+ *         description: Reason missing or results already recorded
+ *       404:
+ *         description: Lab order not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/orders/:id/cancel', protect, staff, async (req, res) => {
+  try {
+    const order = await LabOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    if (req.user.role !== 'admin') {
+      const orderer = await doctorForUser(req.user);
+      if (!orderer || orderer.id !== order.doctorId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Only the ordering doctor or an admin can cancel a lab order',
+        });
+      }
+    }
+
+    if (!req.body.reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancellation reason is required',
+      });
+    }
+
+    const cancelledOrder = await LabOrder.findOneAndUpdate(
+      { id: order.id, status: { $in: ['ordered', 'collected'] } },
+      {
+        status: 'cancelled',
+        'tests.$[].status': 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: req.user.id,
+        cancelReason: req.body.reason,
+      },
+      { new: true }
+    );
+    if (!cancelledOrder) {
+      return res.status(400).json({
+        success: false,
+        message: order.status === 'cancelled'
+          ? 'Lab order is already cancelled'
+          : 'Lab orders with results cannot be cancelled',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: cancelledOrder,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
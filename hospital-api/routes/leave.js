@@ -0,0 +1,615 @@
+const express = require('express');
+const router = express.Router();
+const LeaveRequest = require('../models/LeaveRequest');
+const Employee = require('../models/Employee');
+const Doctor = require('../models/Doctor');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const Appointment = require('../models/Appointment');
+const { protect, staff } = require('../middleware/authMiddleware');
+const { startOfDay } = require('../utils/scheduling');
+const {
+  LEAVE_TYPES,
+  PAID_LEAVE_TYPES,
+  leaveDays,
+  leaveBalances,
+  employeeForUser,
+  canDecideLeave,
+} = require('../utils/leave');
+
+// Employees see their own leave; managers and admins also see whom they decide for
+const canView = (user, self, employee) => canDecideLeave(user, self, employee)
+  || Boolean(self && self.id === employee.id);
+
+const notAuthorized = (res) => res.status(401).json({
+  success: false,
+  message: 'Not authorized for this employee\'s leave',
+});
+
+const requestNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Leave request not found',
+});
+
+// Shifts and appointments already planned inside a leave request
+const findLeaveConflicts = async (request) => {
+  const from = request.startDate;
+  const to = new Date(request.endDate);
+  to.setDate(to.getDate() + 1);
+
+  const shifts = await ShiftAssignment.find({
+    empId: request.empId,
+    status: 'scheduled',
+    start: { $lt: to },
+    end: { $gt: from },
+  });
+
+  const doctor = await Doctor.findOne({ empId: request.empId });
+  const appointments = doctor
+    ? await Appointment.find({
+      doctorId: doctor.id,
+      status: 'booked',
+      start: { $lt: to },
+      end: { $gt: from },
+    })
+    : [];
+
+  return { shifts, appointments };
+};
+
+/**
+ * @swagger
+ * /api/leave/balances/{empId}:
+ *   get:
+ *     summary: Get leave balances of an employee for the current year
+ *     description: Leave accrues monthly from the hire date and resets each calendar year. Pending requests are held against the available balance.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: empId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entitlement, accrued, used, pending and available days per leave type
+ *       404:
+ *         description: Employee not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/balances/:empId', protect, staff, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ id: req.params.empId });
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found',
+      });
+    }
+
+    const self = await employeeForUser(req.user);
+    if (!canView(req.user, self, employee)) return notAuthorized(res);
+
+    res.status(200).json({
+      success: true,
+      data: await leaveBalances(employee),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/requests:
+ *   get:
+ *     summary: Get leave requests
+ *     description: Admins see all requests, managers see their own and their direct reports', other staff see their own.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: empId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of leave requests
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/requests', protect, staff, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    if (req.user.role === 'admin') {
+      if (req.query.empId) filter.empId = req.query.empId;
+    } else {
+      const self = await employeeForUser(req.user);
+      if (!self) return notAuthorized(res);
+
+      const reports = await Employee.find({ manager: self.id });
+      const visible = [self.id, ...reports.map((employee) => employee.id)];
+      filter.empId = req.query.empId
+        ? (visible.includes(Number(req.query.empId)) ? Number(req.query.empId) : -1)
+        : { $in: visible };
+    }
+
+    const requests = await LeaveRequest.find(filter).sort('-startDate');
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/requests:
+ *   post:
+ *     summary: Request leave
+ *     description: Employees request leave for themselves; managers and admins may also file for employees they decide for. Paid leave must fit in the available balance; approved unpaid leave is deducted in payroll. Requests must stay within one calendar year.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               empId:
+ *                 type: integer
+ *                 description: Defaults to the signed-in user's employee record
+ *               type:
+ *                 type: string
+ *                 enum: [sick, casual, annual, unpaid]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of leave (inclusive)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Leave requested
+ *       400:
+ *         description: Invalid dates, overlapping request or insufficient balance
+ *       404:
+ *         description: Employee not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/requests', protect, staff, async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+    const self = await employeeForUser(req.user);
+    const employee = req.body.empId !== undefined
+      ? await Employee.findOne({ id: req.body.empId })
+      : self;
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found',
+      });
+    }
+
+    if (!canView(req.user, self, employee)) return notAuthorized(res);
+
+    if (employee.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot request leave for a terminated employee',
+      });
+    }
+
+    if (!LEAVE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Leave type must be one of: ${LEAVE_TYPES.join(', ')}`,
+      });
+    }
+
+    const startDate = startOfDay(req.body.startDate);
+    const endDate = startOfDay(req.body.endDate);
+    if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime()) || endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid start and end dates are required, with the end not before the start',
+      });
+    }
+
+    if (startDate.getFullYear() !== endDate.getFullYear()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leave cannot span two calendar years; file a separate request for each year',
+      });
+    }
+
+    const overlap = await LeaveRequest.findOne({
+      empId: employee.id,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: endDate },
+      endDate: { $gte: startDate },
+    });
+    if (overlap) {
+      return res.status(400).json({
+        success: false,
+        message: `Overlaps leave request ${overlap.id}`,
+      });
+    }
+
+    const days = leaveDays(startDate, endDate);
+    if (PAID_LEAVE_TYPES.includes(type)) {
+      const balances = await leaveBalances(employee, startDate);
+      if (days > balances[type].available) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient ${type} leave: ${days} days requested, ${balances[type].available} available`,
+        });
+      }
+    }
+
+    // Get highest leave request ID and increment by 1
+    const highestRequest = await LeaveRequest.findOne().sort('-id');
+    const newId = highestRequest ? highestRequest.id + 1 : 1;
+
+    const request = await LeaveRequest.create({
+      id: newId,
+      empId: employee.id,
+      type,
+      startDate,
+      endDate,
+      days,
+      reason,
+      requestedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: request,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/requests/{id}:
+ *   get:
+ *     summary: Get leave request by ID
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leave request found
+ *       404:
+ *         description: Leave request not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/requests/:id', protect, staff, async (req, res) => {
+  try {
+    const request = await LeaveRequest.findOne({ id: req.params.id });
+    if (!request) return requestNotFound(res);
+
+    const employee = await Employee.findOne({ id: request.empId });
+    const self = await employeeForUser(req.user);
+    if (!employee || !canView(req.user, self, employee)) return notAuthorized(res);
+
+    res.status(200).json({
+      success: true,
+      data: request,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/requests/{id}/approve:
+ *   post:
+ *     summary: Approve a pending leave request
+ *     description: Only the employee's manager or an admin can approve. Leave cannot be approved while shifts or appointments are still planned during it; they are returned so they can be reassigned or cancelled first.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Leave approved
+ *       400:
+ *         description: Request is not pending, or shifts or appointments are planned during the leave
+ *       404:
+ *         description: Leave request not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/requests/:id/approve', protect, staff, async (req, res) => {
+  try {
+    const request = await LeaveRequest.findOne({ id: req.params.id });
+    if (!request) return requestNotFound(res);
+
+    const employee = await Employee.findOne({ id: request.empId });
+    const self = await employeeForUser(req.user);
+    if (!employee || !canDecideLeave(req.user, self, employee)) return notAuthorized(res);
+
+    if (self && self.id === employee.id && req.user.role !== 'admin') {
+      return res.status(401).json({
+        success: false,
+        message: 'You cannot approve your own leave',
+      });
+    }
+
+    const conflicts = await findLeaveConflicts(request);
+    if (conflicts.shifts.length > 0 || conflicts.appointments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reassign or cancel the shifts and appointments planned during the leave first',
+        conflicts,
+      });
+    }
+
+    const approved = await LeaveRequest.findOneAndUpdate(
+      { id: request.id, status: 'pending' },
+      {
+        status: 'approved',
+        decidedBy: req.user.id,
+        decidedAt: new Date(),
+        decisionNote: req.body && req.body.note,
+      },
+      { new: true }
+    );
+
+    if (!approved) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot approve a leave request that is ${request.status}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: approved,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/requests/{id}/reject:
+ *   post:
+ *     summary: Reject a pending leave request
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Leave rejected
+ *       400:
+ *         description: Missing note or request is not pending
+ *       404:
+ *         description: Leave request not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/requests/:id/reject', protect, staff, async (req, res) => {
+  try {
+    const note = req.body && req.body.note;
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the rejection is required',
+      });
+    }
+
+    const request = await LeaveRequest.findOne({ id: req.params.id });
+    if (!request) return requestNotFound(res);
+
+    const employee = await Employee.findOne({ id: request.empId });
+    const self = await employeeForUser(req.user);
+    if (!employee || !canDecideLeave(req.user, self, employee)) return notAuthorized(res);
+
+    const rejected = await LeaveRequest.findOneAndUpdate(
+      { id: request.id, status: 'pending' },
+      {
+        status: 'rejected',
+        decidedBy: req.user.id,
+        decidedAt: new Date(),
+        decisionNote: note,
+      },
+      { new: true }
+    );
+
+    if (!rejected) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reject a leave request that is ${request.status}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rejected,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/leave/requests/{id}/cancel:
+ *   post:
+ *     summary: Cancel a leave request
+ *     description: The employee can withdraw a pending request. Approved leave that has not started can be cancelled by the employee's manager or an admin, returning the days to the balance.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leave request cancelled
+ *       400:
+ *         description: Request can no longer be cancelled
+ *       404:
+ *         description: Leave request not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/requests/:id/cancel', protect, staff, async (req, res) => {
+  try {
+    const request = await LeaveRequest.findOne({ id: req.params.id });
+    if (!request) return requestNotFound(res);
+
+    const employee = await Employee.findOne({ id: request.empId });
+    const self = await employeeForUser(req.user);
+    if (!employee || !canView(req.user, self, employee)) return notAuthorized(res);
+
+    const canDecide = canDecideLeave(req.user, self, employee);
+    const filter = { id: request.id };
+    if (canDecide) {
+      filter.$or = [
+        { status: 'pending' },
+        { status: 'approved', startDate: { $gt: new Date() } },
+      ];
+    } else {
+      filter.status = 'pending';
+    }
+
+    const cancelled = await LeaveRequest.findOneAndUpdate(
+      filter,
+      { status: 'cancelled', decidedBy: req.user.id, decidedAt: new Date() },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: canDecide
+          ? 'Only pending requests or approved leave that has not started can be cancelled'
+          : 'Only pending requests can be withdrawn',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: cancelled,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
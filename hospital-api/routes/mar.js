@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const MedicationAdministration = require('../models/MedicationAdministration');
+const Prescription = require('../models/Prescription');
+const Patient = require('../models/Patient');
+const Ward = require('../models/Ward');
+const { protect, staff } = require('../middleware/authMiddleware');
+const { startOfDay } = require('../utils/scheduling');
+const { employeeForUser } = require('../utils/leave');
+const { overdueGraceMinutes, scheduledDose, buildMar } = require('../utils/mar');
+
+const MINUTE_MS = 60 * 1000;
+
+// Outcomes other than given need a reason
+const OUTCOMES = ['given', 'held', 'refused', 'missed'];
+
+/**
+ * @swagger
+ * /api/mar/patient/{patientId}:
+ *   get:
+ *     summary: Get the medication administration record of a patient
+ *     description: Lists every scheduled dose from the patient's prescriptions with its outcome, or due/overdue when nothing is recorded yet, plus as-needed (PRN) doses given.
+ *     tags: [Medication Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to the start of today
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Exclusive; defaults to 24 hours after from
+ *     responses:
+ *       200:
+ *         description: Scheduled doses and PRN administrations
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, staff, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : startOfDay(new Date());
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 24 * 60 * MINUTE_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid time range is required',
+      });
+    }
+
+    const mar = await buildMar([patient.id], from, to);
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      count: mar.doses.length,
+      data: mar,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/mar/ward/{wardId}/overdue:
+ *   get:
+ *     summary: Get overdue doses for patients admitted to a ward
+ *     description: Scheduled doses from the last 24 hours with nothing recorded more than MAR_OVERDUE_MINUTES (default 60) after their time.
+ *     tags: [Medication Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wardId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Overdue doses, oldest first
+ *       404:
+ *         description: Ward not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/ward/:wardId/overdue', protect, staff, async (req, res) => {
+  try {
+    const ward = await Ward.findOne({ id: req.params.wardId });
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found',
+      });
+    }
+
+    const patients = await Patient.find({ wardId: ward.id, admissionStatus: 'admitted' });
+    const now = new Date();
+    const from = new Date(now.getTime() - 24 * 60 * MINUTE_MS);
+    const mar = await buildMar(patients.map((patient) => patient.id), from, now, now);
+    const beds = new Map(patients.map((patient) => [patient.id, patient.bedAllocated]));
+    const overdue = mar.doses
+      .filter((dose) => dose.status === 'overdue')
+      .map((dose) => ({ ...dose, bedAllocated: beds.get(dose.patId) }));
+
+    res.status(200).json({
+      success: true,
+      graceMinutes: overdueGraceMinutes(),
+      count: overdue.length,
+      data: overdue,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/mar/administrations:
+ *   post:
+ *     summary: Record a dose as given, held, refused or missed
+ *     description: Recorded against the signed-in user's employee record. Scheduled doses are identified by scheduledFor and can be recorded once; as-needed (PRN) lines are recorded as given without scheduledFor.
+ *     tags: [Medication Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - prescriptionId
+ *               - lineId
+ *               - status
+ *             properties:
+ *               prescriptionId:
+ *                 type: integer
+ *               lineId:
+ *                 type: integer
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Scheduled dose time; omit for PRN doses
+ *               status:
+ *                 type: string
+ *                 enum: [given, held, refused, missed]
+ *               administeredAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               dose:
+ *                 type: number
+ *                 description: Defaults to the prescribed dose
+ *               reason:
+ *                 type: string
+ *                 description: Required unless the dose was given
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Administration recorded
+ *       400:
+ *         description: Invalid outcome, missing reason, not a scheduled dose or already recorded
+ *       404:
+ *         description: Prescription or line not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/administrations', protect, staff, async (req, res) => {
+  try {
+    const { prescriptionId, lineId, status, reason, notes } = req.body;
+
+    const employee = await employeeForUser(req.user);
+    if (!employee || employee.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Only active employees can record administrations',
+      });
+    }
+
+    if (!OUTCOMES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${OUTCOMES.join(', ')}`,
+      });
+    }
+
+    if (status !== 'given' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason is required when a dose is ${status}`,
+      });
+    }
+
+    const prescription = await Prescription.findOne({ id: prescriptionId });
+    const line = prescription && prescription.lines.find((item) => item.lineId === Number(lineId));
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription line not found',
+      });
+    }
+
+    const administeredAt = req.body.administeredAt ? new Date(req.body.administeredAt) : new Date();
+    let scheduledFor;
+    // What was prescribed for the dose: the line version it was scheduled under, which
+    // may differ from the current line after a revision
+    let prescribed = line;
+
+    if (req.body.scheduledFor) {
+      // The time must be one of the line's scheduled doses
+      const dose = scheduledDose(prescription, line.lineId, req.body.scheduledFor);
+      if (!dose) {
+        return res.status(400).json({
+          success: false,
+          message: 'No dose of this line is scheduled at that time',
+        });
+      }
+      scheduledFor = dose.scheduledFor;
+      prescribed = dose;
+    } else if (!line.prn || status !== 'given') {
+      return res.status(400).json({
+        success: false,
+        message: 'scheduledFor is required except for as-needed doses given',
+      });
+    } else if (line.status !== 'active' || line.startDate > administeredAt
+      || (line.stopDate && line.stopDate <= administeredAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prescription line is not in effect at that time',
+      });
+    }
+
+    // Get highest administration ID and increment by 1
+    const highestAdministration = await MedicationAdministration.findOne().sort('-id');
+    const newId = highestAdministration ? highestAdministration.id + 1 : 1;
+
+    let administration;
+    try {
+      administration = await MedicationAdministration.create({
+        id: newId,
+        patId: prescription.patId,
+        prescriptionId: prescription.id,
+        lineId: line.lineId,
+        medicineId: prescribed.medicineId,
+        scheduledFor,
+        status,
+        dose: req.body.dose !== undefined ? req.body.dose : prescribed.dose,
+        unit: prescribed.unit,
+        route: prescribed.route,
+        administeredAt,
+        empId: employee.id,
+        recordedBy: req.user.id,
+        reason,
+        notes,
+      });
+    } catch (createError) {
+      // The unique index allows one record per scheduled dose
+      if (createError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'This dose has already been recorded',
+        });
+      }
+      throw createError;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: administration,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
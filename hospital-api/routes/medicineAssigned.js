@@ -3,214 +3,688 @@ const router = express.Router();
 const MedicineAssigned = require('../models/MedicineAssigned');
 const Patient = require('../models/Patient');
 const Medicine = require('../models/Medicine');
-const auth = require('../middleware/auth');
-const { check, validationResult } = require('express-validator');
+const StockBatch = require('../models/StockBatch');
+const Prescription = require('../models/Prescription');
+const { protect, staff } = require('../middleware/authMiddleware');
+const { reserveStock, releaseStock, dispenseStock, returnStock } = require('../utils/inventory');
+const { checkMedicine, needsOverride } = require('../utils/interactions');
 
-// @route   GET api/medicinesassigned
-// @desc    Get all medicines assigned
-// @access  Private
-router.get('/', auth, async (req, res) => {
+const assignmentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Medicine assignment not found',
+});
+
+const insufficientStock = (res, medicine) => res.status(400).json({
+  success: false,
+  message: `Insufficient stock of ${medicine ? medicine.name : 'this medicine'}`,
+});
+
+/**
+ * @swagger
+ * /api/medicine-assigned:
+ *   get:
+ *     summary: Get all medicine assignments
+ *     tags: [Medicine Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [reserved, backordered, dispensed, cancelled]
+ *     responses:
+ *       200:
+ *         description: List of medicine assignments, newest first
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, staff, async (req, res) => {
   try {
-    const medicinesAssigned = await MedicineAssigned.find()
-      .populate('pat_id', 'user_id medical_problem')
-      .populate('medicine_id', 'name price');
-    res.json(medicinesAssigned);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const assignments = await MedicineAssigned.find(filter).sort('-createdAt');
+    res.status(200).json({
+      success: true,
+      count: assignments.length,
+      data: assignments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
   }
 });
 
-// @route   GET api/medicinesassigned/patient/:patientId
-// @desc    Get medicines assigned to a patient
-// @access  Private
-router.get('/patient/:patientId', auth, async (req, res) => {
+/**
+ * @swagger
+ * /api/medicine-assigned/patient/{patientId}:
+ *   get:
+ *     summary: Get medicines assigned to a patient
+ *     description: Patients can only view their own assignments.
+ *     tags: [Medicine Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of the patient's medicine assignments
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
   try {
-    const medicinesAssigned = await MedicineAssigned.find({ pat_id: req.params.patientId })
-      .populate('pat_id', 'user_id medical_problem')
-      .populate('medicine_id', 'name price');
-    
-    res.json(medicinesAssigned);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (req.user.role === 'patient' && patient.userId !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view these medicines',
+      });
+    }
+
+    const assignments = await MedicineAssigned.find({ patId: patient.id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: assignments.length,
+      data: assignments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
   }
 });
 
-// @route   GET api/medicinesassigned/medicine/:medicineId
-// @desc    Get all patients assigned a specific medicine
-// @access  Private
-router.get('/medicine/:medicineId', auth, async (req, res) => {
+/**
+ * @swagger
+ * /api/medicine-assigned/medicine/{medicineId}:
+ *   get:
+ *     summary: Get assignments of a specific medicine
+ *     tags: [Medicine Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: medicineId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [reserved, backordered, dispensed, cancelled]
+ *     responses:
+ *       200:
+ *         description: List of assignments of the medicine
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/medicine/:medicineId', protect, staff, async (req, res) => {
   try {
-    const medicinesAssigned = await MedicineAssigned.find({ medicine_id: req.params.medicineId })
-      .populate('pat_id', 'user_id medical_problem')
-      .populate('medicine_id', 'name price');
-    
-    res.json(medicinesAssigned);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    const filter = { medicineId: req.params.medicineId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const assignments = await MedicineAssigned.find(filter).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: assignments.length,
+      data: assignments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
   }
 });
 
-// @route   POST api/medicinesassigned
-// @desc    Assign medicine to patient
-// @access  Private
-router.post('/', [
-  auth,
-  [
-    check('pat_id', 'Patient ID is required').not().isEmpty(),
-    check('medicine_id', 'Medicine ID is required').not().isEmpty(),
-    check('prescription', 'Prescription details are required').not().isEmpty(),
-    check('medicine_qty', 'Medicine quantity is required').isNumeric()
-  ]
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+/**
+ * @swagger
+ * /api/medicine-assigned/{id}:
+ *   get:
+ *     summary: Get medicine assignment by ID
+ *     tags: [Medicine Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Medicine assignment found
+ *       404:
+ *         description: Medicine assignment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, staff, async (req, res) => {
+  try {
+    const assignment = await MedicineAssigned.findOne({ id: req.params.id });
+    if (!assignment) return assignmentNotFound(res);
 
-  const { pat_id, medicine_id, prescription, medicine_qty } = req.body;
+    res.status(200).json({
+      success: true,
+      data: assignment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
 
+/**
+ * @swagger
+ * /api/medicine-assigned:
+ *   post:
+ *     summary: Assign medicine for a prescription line and reserve the stock
+ *     description: The medicine comes from the prescription line, which must be active. The medicine is checked against the patient's allergies and other active prescriptions; warnings above minor severity are refused unless overrideReason is given. Stock is reserved first-expiry-first-out. When stock is short the assignment is refused, or recorded as back-ordered if backorder is true.
+ *     tags: [Medicine Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - prescriptionId
+ *               - prescriptionLineId
+ *               - medicineQty
+ *             properties:
+ *               prescriptionId:
+ *                 type: integer
+ *               prescriptionLineId:
+ *                 type: integer
+ *               medicineQty:
+ *                 type: integer
+ *               backorder:
+ *                 type: boolean
+ *                 default: false
+ *               overrideReason:
+ *                 type: string
+ *                 description: Required to proceed despite allergy or interaction warnings
+ *     responses:
+ *       201:
+ *         description: Medicine assigned with stock reserved, or back-ordered
+ *       400:
+ *         description: Invalid quantity, inactive prescription line, warnings not overridden or insufficient stock
+ *       404:
+ *         description: Prescription, line or medicine not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, staff, async (req, res) => {
   try {
-    // Check if user is authorized (doctor, admin, or staff)
-    if (req.user.role !== 'doctor' && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'staff') {
-      return res.status(401).json({ msg: 'Not authorized to assign medicines' });
+    const { prescriptionId, prescriptionLineId, backorder, overrideReason } = req.body;
+    const medicineQty = Number(req.body.medicineQty);
+
+    const prescription = await Prescription.findOne({ id: prescriptionId });
+    if (!prescription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription not found',
+      });
     }
 
-    // Check if patient exists
-    const patient = await Patient.findById(pat_id);
-    if (!patient) {
-      return res.status(404).json({ msg: 'Patient not found' });
+    const line = prescription.lines.find((item) => item.lineId === Number(prescriptionLineId));
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription line not found',
+      });
+    }
+
+    if (line.status !== 'active' || (line.stopDate && line.stopDate <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prescription line is no longer active',
+      });
     }
 
-    // Check if medicine exists
-    const medicine = await Medicine.findById(medicine_id);
+    const medicine = await Medicine.findOne({ id: line.medicineId });
     if (!medicine) {
-      return res.status(404).json({ msg: 'Medicine not found' });
-    }
-
-    // Check if this assignment already exists
-    const existingAssignment = await MedicineAssigned.findOne({ 
-      pat_id, 
-      medicine_id 
-    });
-
-    if (existingAssignment) {
-      // Update quantity instead of creating new record
-      existingAssignment.medicine_qty += medicine_qty;
-      existingAssignment.prescription = prescription;
-      
-      await existingAssignment.save();
-      
-      // Populate the response
-      const populatedAssignment = await MedicineAssigned.findById(existingAssignment._id)
-        .populate('pat_id', 'user_id medical_problem')
-        .populate('medicine_id', 'name price');
-      
-      return res.json(populatedAssignment);
-    }
-
-    const newAssignment = new MedicineAssigned({
-      pat_id,
-      medicine_id,
-      prescription,
-      medicine_qty
-    });
-
-    const assignment = await newAssignment.save();
-    
-    // Populate the response
-    const populatedAssignment = await MedicineAssigned.findById(assignment._id)
-      .populate('pat_id', 'user_id medical_problem')
-      .populate('medicine_id', 'name price');
-    
-    res.json(populatedAssignment);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found',
+      });
+    }
+
+    if (!Number.isInteger(medicineQty) || medicineQty < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Medicine quantity must be a positive whole number',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: prescription.patId });
+    const warnings = patient ? await checkMedicine(patient, medicine) : [];
+    const overridden = needsOverride(warnings);
+    if (overridden && !overrideReason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Allergy or interaction warnings must be overridden with a reason',
+        warnings,
+      });
+    }
+
+    const allocations = await reserveStock(medicine.id, medicineQty);
+    if (!allocations && !backorder) return insufficientStock(res, medicine);
+
+    // Get highest assignment ID and increment by 1
+    const highestAssignment = await MedicineAssigned.findOne().sort('-id');
+    const newId = highestAssignment ? highestAssignment.id + 1 : 1;
+
+    let assignment;
+    try {
+      assignment = await MedicineAssigned.create({
+        id: newId,
+        patId: prescription.patId,
+        medicineId: medicine.id,
+        prescriptionId: prescription.id,
+        prescriptionLineId: line.lineId,
+        medicineQty,
+        status: allocations ? 'reserved' : 'backordered',
+        allocations: allocations || [],
+        warnings,
+        override: overridden ? { reason: overrideReason, by: req.user.id, at: new Date() } : undefined,
+        assignedBy: req.user.id,
+      });
+    } catch (error) {
+      if (allocations) await releaseStock(allocations);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: assignment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/medicine-assigned/check:
+ *   post:
+ *     summary: Check a prescription line for allergy and interaction warnings
+ *     description: Uses the same checks as assigning, without reserving anything.
+ *     tags: [Medicine Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - prescriptionId
+ *               - prescriptionLineId
+ *             properties:
+ *               prescriptionId:
+ *                 type: integer
+ *               prescriptionLineId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Warnings, most serious first, and whether an override is needed
+ *       404:
+ *         description: Prescription, line, patient or medicine not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/check', protect, staff, async (req, res) => {
+  try {
+    const prescription = await Prescription.findOne({ id: req.body.prescriptionId });
+    const line = prescription
+      && prescription.lines.find((item) => item.lineId === Number(req.body.prescriptionLineId));
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription line not found',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: prescription.patId });
+    const medicine = await Medicine.findOne({ id: line.medicineId });
+    if (!patient || !medicine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient or medicine not found',
+      });
+    }
+
+    const warnings = await checkMedicine(patient, medicine);
+
+    res.status(200).json({
+      success: true,
+      overrideRequired: needsOverride(warnings),
+      count: warnings.length,
+      data: warnings,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
   }
 });
 
-// @route   PUT api/medicinesassigned/:id
-// @desc    Update medicine assignment
-// @access  Private
-router.put('/:id', [
-  auth,
-  [
-    check('prescription', 'Prescription details are required').optional().not().isEmpty(),
-    check('medicine_qty', 'Medicine quantity is required').optional().isNumeric()
-  ]
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+/**
+ * @swagger
+ * /api/medicine-assigned/{id}/reserve:
+ *   post:
+ *     summary: Retry reserving stock for a back-ordered assignment
+ *     tags: [Medicine Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stock reserved
+ *       400:
+ *         description: Assignment is not back-ordered or stock is still insufficient
+ *       404:
+ *         description: Medicine assignment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reserve', protect, staff, async (req, res) => {
+  try {
+    const assignment = await MedicineAssigned.findOne({ id: req.params.id });
+    if (!assignment) return assignmentNotFound(res);
+
+    if (assignment.status !== 'backordered') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reserve stock for an assignment that is ${assignment.status}`,
+      });
+    }
+
+    const allocations = await reserveStock(assignment.medicineId, assignment.medicineQty);
+    if (!allocations) {
+      return insufficientStock(res, await Medicine.findOne({ id: assignment.medicineId }));
+    }
+
+    const reserved = await MedicineAssigned.findOneAndUpdate(
+      { id: assignment.id, status: 'backordered' },
+      { status: 'reserved', allocations },
+      { new: true }
+    );
+
+    if (!reserved) {
+      await releaseStock(allocations);
+      return res.status(400).json({
+        success: false,
+        message: 'Assignment changed while reserving; please retry',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: reserved,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
   }
+});
 
+/**
+ * @swagger
+ * /api/medicine-assigned/{id}/dispense:
+ *   post:
+ *     summary: Dispense a reserved assignment, deducting it from stock
+ *     description: Reservations on batches that expired in the meantime are moved to unexpired stock first; if that is not possible nothing is dispensed.
+ *     tags: [Medicine Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Medicine dispensed
+ *       400:
+ *         description: Assignment is not reserved, its reserved stock is gone or replacement stock is insufficient
+ *       404:
+ *         description: Medicine assignment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/dispense', protect, staff, async (req, res) => {
   try {
-    // Check if user is authorized (doctor, admin, or staff)
-    if (req.user.role !== 'doctor' && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'staff') {
-      return res.status(401).json({ msg: 'Not authorized to update medicine assignments' });
-    }
-
-    let assignment = await MedicineAssigned.findById(req.params.id);
-    
-    if (!assignment) {
-      return res.status(404).json({ msg: 'Medicine assignment not found' });
-    }
-    
-    // Update fields if they exist in the request
-    if (req.body.prescription) assignment.prescription = req.body.prescription;
-    if (req.body.medicine_qty !== undefined) assignment.medicine_qty = req.body.medicine_qty;
-    
-    await assignment.save();
-    
-    // Populate the response
-    const populatedAssignment = await MedicineAssigned.findById(assignment._id)
-      .populate('pat_id', 'user_id medical_problem')
-      .populate('medicine_id', 'name price');
-    
-    res.json(populatedAssignment);
-  } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'Medicine assignment not found' });
-    }
-    res.status(500).send('Server Error');
+    const assignment = await MedicineAssigned.findOne({ id: req.params.id });
+    if (!assignment) return assignmentNotFound(res);
+
+    if (assignment.status !== 'reserved') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot dispense an assignment that is ${assignment.status}`,
+      });
+    }
+
+    // Swap reservations on expired batches for unexpired stock
+    let allocations = assignment.allocations.map((allocation) => allocation.toObject());
+    const expired = await StockBatch.find({
+      id: { $in: allocations.map((allocation) => allocation.batchId) },
+      expiryDate: { $lte: new Date() },
+    });
+    const expiredIds = new Set(expired.map((batch) => batch.id));
+    let replacements = [];
+
+    if (expiredIds.size > 0) {
+      const expiredAllocations = allocations.filter((allocation) => expiredIds.has(allocation.batchId));
+      const shortfall = expiredAllocations.reduce((sum, allocation) => sum + allocation.qty, 0);
+      replacements = await reserveStock(assignment.medicineId, shortfall);
+      if (!replacements) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reserved stock has expired and there is not enough unexpired stock to replace it',
+        });
+      }
+      await releaseStock(expiredAllocations);
+      allocations = allocations
+        .filter((allocation) => !expiredIds.has(allocation.batchId))
+        .concat(replacements);
+    }
+
+    const dispensed = await MedicineAssigned.findOneAndUpdate(
+      { id: assignment.id, status: 'reserved' },
+      {
+        status: 'dispensed',
+        allocations,
+        dispensedBy: req.user.id,
+        dispensedAt: new Date(),
+      },
+      { new: true }
+    );
+
+    if (!dispensed) {
+      if (replacements.length > 0) await releaseStock(replacements);
+      return res.status(400).json({
+        success: false,
+        message: 'Assignment changed while dispensing; please retry',
+      });
+    }
+
+    // Put the assignment back if the reserved stock is no longer on the batches
+    if (!(await dispenseStock(allocations))) {
+      await MedicineAssigned.updateOne(
+        { id: assignment.id, status: 'dispensed' },
+        { $set: { status: 'reserved' }, $unset: { dispensedBy: 1, dispensedAt: 1 } }
+      );
+      return res.status(400).json({
+        success: false,
+        message: 'Reserved stock is no longer held on its batches; cancel the assignment and assign again',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dispensed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
   }
 });
 
-// @route   DELETE api/medicinesassigned/:id
-// @desc    Remove medicine assignment
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+/**
+ * @swagger
+ * /api/medicine-assigned/{id}/cancel:
+ *   post:
+ *     summary: Cancel a medicine assignment
+ *     description: Reserved stock is released. For a dispensed assignment the unused medicine is returned to the batches it came from.
+ *     tags: [Medicine Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Assignment cancelled and stock released or returned
+ *       400:
+ *         description: Missing reason or assignment already cancelled
+ *       404:
+ *         description: Medicine assignment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/cancel', protect, staff, async (req, res) => {
   try {
-    // Check if user is authorized (doctor, admin, or staff)
-    if (req.user.role !== 'doctor' && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'staff') {
-      return res.status(401).json({ msg: 'Not authorized to delete medicine assignments' });
-    }
-
-    const assignment = await MedicineAssigned.findById(req.params.id);
-    
-    if (!assignment) {
-      return res.status(404).json({ msg: 'Medicine assignment not found' });
-    }
-    
-    await assignment.remove();
-    res.json({ msg: 'Medicine assignment removed' });
-  } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'Medicine assignment not found' });
-    }
-    res.status(500).send('Server Error');
+    const reason = req.body && req.body.reason;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancellation reason is required',
+      });
+    }
+
+    const assignment = await MedicineAssigned.findOne({ id: req.params.id });
+    if (!assignment) return assignmentNotFound(res);
+
+    if (assignment.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignment is already cancelled',
+      });
+    }
+
+    // Claim the current status so stock is released or returned only once
+    const cancelled = await MedicineAssigned.findOneAndUpdate(
+      { id: assignment.id, status: assignment.status },
+      {
+        status: 'cancelled',
+        cancelledBy: req.user.id,
+        cancelledAt: new Date(),
+        cancelReason: reason,
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignment changed while cancelling; please retry',
+      });
+    }
+
+    if (assignment.status === 'reserved') await releaseStock(assignment.allocations);
+    if (assignment.status === 'dispensed') await returnStock(assignment.allocations);
+
+    res.status(200).json({
+      success: true,
+      data: cancelled,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
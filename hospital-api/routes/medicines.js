@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Medicine = require('../models/Medicine');
+const StockBatch = require('../models/StockBatch');
+const PurchaseOrder = require('../models/PurchaseOrder');
 const { protect, admin } = require('../middleware/authMiddleware');
 
 /**
@@ -106,6 +108,16 @@ router.get('/:id', protect, async (req, res) => {
  *                 type: string
  *               price:
  *                 type: number
+ *               lowStockThreshold:
+ *                 type: integer
+ *               genericName:
+ *                 type: string
+ *                 example: amoxicillin
+ *               drugClasses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [penicillins]
  *     responses:
  *       201:
  *         description: Medicine created successfully
@@ -118,7 +130,7 @@ router.get('/:id', protect, async (req, res) => {
  */
 router.post('/', protect, admin, async (req, res) => {
   try {
-    const { name, price } = req.body;
+    const { name, price, lowStockThreshold, genericName, drugClasses } = req.body;
     
     // Get highest medicine ID and increment by 1
     const highestMedicine = await Medicine.findOne().sort('-id');
@@ -127,7 +139,10 @@ router.post('/', protect, admin, async (req, res) => {
     const medicine = await Medicine.create({
       id: newId,
       name,
-      price
+      price,
+      lowStockThreshold,
+      genericName,
+      drugClasses
     });
     
     res.status(201).json({
@@ -168,6 +183,16 @@ router.post('/', protect, admin, async (req, res) => {
  *                 type: string
  *               price:
  *                 type: number
+ *               lowStockThreshold:
+ *                 type: integer
+ *               genericName:
+ *                 type: string
+ *                 example: amoxicillin
+ *               drugClasses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [penicillins]
  *     responses:
  *       200:
  *         description: Medicine updated successfully
@@ -225,6 +250,8 @@ router.put('/:id', protect, admin, async (req, res) => {
  *     responses:
  *       200:
  *         description: Medicine deleted successfully
+ *       400:
+ *         description: Medicine still has stock batches or purchase orders
  *       404:
  *         description: Medicine not found
  *       401:
@@ -243,6 +270,22 @@ router.delete('/:id', protect, admin, async (req, res) => {
       });
     }
 
+    const hasBatches = await StockBatch.exists({ medicineId: medicine.id });
+    if (hasBatches) {
+      return res.status(400).json({
+        success: false,
+        message: 'Medicine still has stock batches',
+      });
+    }
+
+    const onOrder = await PurchaseOrder.exists({ 'lines.medicineId': medicine.id });
+    if (onOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'Medicine appears on purchase orders',
+      });
+    }
+
     await Medicine.findOneAndDelete({ id: req.params.id });
     
     res.status(200).json({
@@ -3,13 +3,71 @@ const router = express.Router();
 const Patient = require('../models/Patient');
 const User = require('../models/User');
 const Doctor = require('../models/Doctor');
-const { protect, admin, doctor } = require('../middleware/authMiddleware');
+const { protect, admin, doctor, staff } = require('../middleware/authMiddleware');
+const { occupyWard, releaseWard, occupancyError } = require('../utils/occupancy');
+const { assignBed, releaseBed, restoreBed, bedError } = require('../utils/beds');
+const { isCareTeam, canViewRecord } = require('../utils/careTeam');
+const { normalizeCode } = require('../utils/icd10');
+const { openEncounter, finishInpatientEncounter, moveInpatientEncounter } = require('../utils/encounters');
+const { TIMELINE_TYPES, patientTimeline } = require('../utils/timeline');
+
+// Allergy, problem and history lists by URL segment. Entries are added, updated
+// and resolved through their own endpoints, never through PUT /:id.
+const HISTORY_SECTIONS = {
+  allergies: { path: 'allergies', fields: ['substance', 'reaction', 'severity', 'notes'], required: ['substance'] },
+  problems: { path: 'problems', fields: ['description', 'code', 'onsetDate', 'notes'], required: ['description'] },
+  'surgical-history': { path: 'surgicalHistory', fields: ['procedure', 'date', 'notes'], required: ['procedure'] },
+  'family-history': { path: 'familyHistory', fields: ['relation', 'condition', 'code', 'notes'], required: ['relation', 'condition'] },
+  'social-history': { path: 'socialHistory', fields: ['category', 'description', 'startDate', 'notes'], required: ['category', 'description'] },
+};
+
+// Fields that only change through the admit/transfer/discharge actions, the payment
+// ledger or the history endpoints
+const MANAGED_FIELDS = [
+  'wardId', 'bedAllocated', 'admissionStatus', 'dischargeDate', 'wardHistory', 'paymentStatus',
+  ...Object.values(HISTORY_SECTIONS).map((section) => section.path),
+];
+
+// Leaves the history lists out of the general patient reads; they are only served
+// to the care team through GET /:id/history
+const WITHOUT_HISTORY = Object.values(HISTORY_SECTIONS).map((section) => `-${section.path}`).join(' ');
+
+const patientNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Patient not found',
+});
+
+const entryNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Entry not found',
+});
+
+const notCareTeam = (res) => res.status(401).json({
+  success: false,
+  message: "Only the patient's care team can access this record",
+});
+
+// Pick a section's fields from a request body, normalising ICD-10 codes
+const historyEntry = (section, body) => {
+  const entry = {};
+  section.fields.forEach((field) => {
+    if (body[field] !== undefined) entry[field] = body[field];
+  });
+
+  if (entry.code) {
+    const code = normalizeCode(entry.code);
+    if (!code) return { error: `${entry.code} is not an ICD-10 code` };
+    entry.code = code;
+  }
+  return { entry };
+};
 
 /**
  * @swagger
  * /api/patients:
  *   get:
  *     summary: Get all patients
+ *     description: Allergies, problems and medical history are left out; the care team reads them from /api/patients/{id}/history.
  *     tags: [Patients]
  *     security:
  *       - bearerAuth: []
@@ -23,7 +81,7 @@ const { protect, admin, doctor } = require('../middleware/authMiddleware');
  */
 router.get('/', protect, async (req, res) => {
   try {
-    const patients = await Patient.find();
+    const patients = await Patient.find().select(WITHOUT_HISTORY);
     res.status(200).json({
       success: true,
       count: patients.length,
@@ -43,6 +101,7 @@ router.get('/', protect, async (req, res) => {
  * /api/patients/{id}:
  *   get:
  *     summary: Get patient by ID
+ *     description: Allergies, problems and medical history are left out; the care team reads them from /api/patients/{id}/history.
  *     tags: [Patients]
  *     security:
  *       - bearerAuth: []
@@ -64,7 +123,7 @@ router.get('/', protect, async (req, res) => {
  */
 router.get('/:id', protect, async (req, res) => {
   try {
-    const patient = await Patient.findOne({ id: req.params.id });
+    const patient = await Patient.findOne({ id: req.params.id }).select(WITHOUT_HISTORY);
     
     if (!patient) {
       return res.status(404).json({
@@ -91,6 +150,7 @@ router.get('/:id', protect, async (req, res) => {
  * /api/patients/doctor/{doctorId}:
  *   get:
  *     summary: Get patients by doctor ID
+ *     description: Allergies, problems and medical history are left out; the care team reads them from /api/patients/{id}/history.
  *     tags: [Patients]
  *     security:
  *       - bearerAuth: []
@@ -110,7 +170,7 @@ router.get('/:id', protect, async (req, res) => {
  */
 router.get('/doctor/:doctorId', protect, async (req, res) => {
   try {
-    const patients = await Patient.find({ doctorId: req.params.doctorId });
+    const patients = await Patient.find({ doctorId: req.params.doctorId }).select(WITHOUT_HISTORY);
     
     res.status(200).json({
       success: true,
@@ -131,6 +191,7 @@ router.get('/doctor/:doctorId', protect, async (req, res) => {
  * /api/patients:
  *   post:
  *     summary: Create new patient
+ *     description: When wardId is given the patient is admitted to that ward, which is refused if the ward is full.
  *     tags: [Patients]
  *     security:
  *       - bearerAuth: []
@@ -165,18 +226,30 @@ router.get('/doctor/:doctorId', protect, async (req, res) => {
  *                 format: date
  *               prescription:
  *                 type: string
+ *                 description: Free-text note; structured prescriptions are managed under /api/prescriptions
+ *               allergies:
+ *                 type: array
+ *                 description: Checked when medicine is assigned
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     substance:
+ *                       type: string
+ *                     reaction:
+ *                       type: string
+ *                     severity:
+ *                       type: string
+ *                       enum: [mild, moderate, severe]
  *               bedAllocated:
  *                 type: integer
- *               paymentStatus:
- *                 type: string
- *                 enum: [pending, paid, partial]
+ *                 description: ID of a bed in the ward
  *               patientProblem:
  *                 type: string
  *     responses:
  *       201:
  *         description: Patient created successfully
  *       400:
- *         description: Invalid data
+ *         description: Invalid data or ward at full capacity
  *       401:
  *         description: Not authorized
  *       500:
@@ -184,7 +257,7 @@ router.get('/doctor/:doctorId', protect, async (req, res) => {
  */
 router.post('/', protect, async (req, res) => {
   try {
-    const { userId, wardId, doctorId, dateOfAdm, bloodGroup, dob, prescription, bedAllocated, paymentStatus, patientProblem } = req.body;
+    const { userId, wardId, doctorId, dateOfAdm, bloodGroup, dob, prescription, allergies, bedAllocated, patientProblem } = req.body;
     
     // Check if user exists
     const user = await User.findOne({ id: userId });
@@ -204,23 +277,75 @@ router.post('/', protect, async (req, res) => {
       });
     }
     
+    if (bedAllocated && !wardId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A bed can only be allocated together with a ward',
+      });
+    }
+    
     // Get highest patient ID and increment by 1
     const highestPatient = await Patient.findOne().sort('-id');
     const newId = highestPatient ? highestPatient.id + 1 : 1;
     
-    const patient = await Patient.create({
-      id: newId,
-      userId,
-      wardId,
-      doctorId,
-      dateOfAdm,
-      bloodGroup,
-      dob,
-      prescription,
-      bedAllocated,
-      paymentStatus,
-      patientProblem
-    });
+    // Take a place in the ward, and the bed if one is given, before creating the patient
+    if (wardId) {
+      const ward = await occupyWard(wardId);
+      if (!ward) {
+        const { status, message } = await occupancyError(wardId);
+        return res.status(status).json({
+          success: false,
+          message,
+        });
+      }
+    }
+    
+    if (bedAllocated) {
+      const bed = await assignBed(bedAllocated, wardId, newId);
+      if (!bed) {
+        await releaseWard(wardId);
+        const { status, message } = await bedError(bedAllocated, wardId, newId);
+        return res.status(status).json({
+          success: false,
+          message,
+        });
+      }
+    }
+    
+    let patient;
+    try {
+      patient = await Patient.create({
+        id: newId,
+        userId,
+        wardId,
+        doctorId,
+        dateOfAdm,
+        bloodGroup,
+        dob,
+        prescription,
+        allergies,
+        bedAllocated,
+        patientProblem,
+        wardHistory: wardId
+          ? [{ event: 'admit', toWardId: wardId, toBed: bedAllocated, at: dateOfAdm, by: req.user.id }]
+          : [],
+      });
+    } catch (error) {
+      if (bedAllocated) await releaseBed(bedAllocated, newId);
+      if (wardId) await releaseWard(wardId);
+      throw error;
+    }
+    
+    if (wardId) {
+      await openEncounter({
+        patId: patient.id,
+        type: 'inpatient',
+        doctorId,
+        wardId,
+        startedAt: dateOfAdm,
+        createdBy: req.user.id,
+      });
+    }
     
     res.status(201).json({
       success: true,
@@ -240,6 +365,7 @@ router.post('/', protect, async (req, res) => {
  * /api/patients/{id}:
  *   put:
  *     summary: Update patient
+ *     description: Ward, bed and admission fields change only through the admit, transfer and discharge actions, payment status only through the payment ledger, and allergies and history only through their own endpoints.
  *     tags: [Patients]
  *     security:
  *       - bearerAuth: []
@@ -256,17 +382,11 @@ router.post('/', protect, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               wardId:
- *                 type: integer
  *               doctorId:
  *                 type: integer
  *               prescription:
  *                 type: string
- *               bedAllocated:
- *                 type: integer
- *               paymentStatus:
- *                 type: string
- *                 enum: [pending, paid, partial]
+ *                 description: Free-text note; structured prescriptions are managed under /api/prescriptions
  *               patientProblem:
  *                 type: string
  *     responses:
@@ -301,9 +421,12 @@ router.put('/:id', protect, async (req, res) => {
       }
     }
     
+    const updates = { ...req.body };
+    MANAGED_FIELDS.forEach((field) => delete updates[field]);
+
     const updatedPatient = await Patient.findOneAndUpdate(
       { id: req.params.id },
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
     
@@ -357,6 +480,14 @@ router.delete('/:id', protect, admin, async (req, res) => {
 
     await Patient.findOneAndDelete({ id: req.params.id });
     
+    // Free the ward place and bed held by a patient who was never discharged
+    if (patient.admissionStatus === 'admitted' && patient.wardId) {
+      await releaseWard(patient.wardId);
+    }
+    if (patient.bedAllocated) {
+      await releaseBed(patient.bedAllocated, patient.id);
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Patient deleted successfully',
@@ -370,4 +501,844 @@ router.delete('/:id', protect, admin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/patients/{id}/admit:
+ *   post:
+ *     summary: Admit a patient to a ward
+ *     description: Takes a place in the ward and refuses the admission if the ward is full. Starts a new stay for a discharged patient and an inpatient encounter with the attending doctor.
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wardId
+ *             properties:
+ *               wardId:
+ *                 type: integer
+ *               bedAllocated:
+ *                 type: integer
+ *                 description: ID of a bed in the ward
+ *               dateOfAdm:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Patient admitted successfully
+ *       400:
+ *         description: Patient already admitted to a ward, ward at full capacity or bed not available
+ *       404:
+ *         description: Patient, ward or bed not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/admit', protect, staff, async (req, res) => {
+  try {
+    const { wardId, bedAllocated, reason } = req.body;
+    const admittedAt = req.body.dateOfAdm ? new Date(req.body.dateOfAdm) : new Date();
+
+    if (!wardId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ward ID is required',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: req.params.id });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (patient.admissionStatus === 'admitted' && patient.wardId) {
+      return res.status(400).json({
+        success: false,
+        message: `Patient is already admitted to ward ${patient.wardId}; use transfer instead`,
+      });
+    }
+
+    const ward = await occupyWard(wardId);
+    if (!ward) {
+      const { status, message } = await occupancyError(wardId);
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    if (bedAllocated && !(await assignBed(bedAllocated, ward.id, patient.id))) {
+      await releaseWard(ward.id);
+      const { status, message } = await bedError(bedAllocated, ward.id, patient.id);
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    // Only admit if nobody else placed the patient in the meantime
+    const admittedPatient = await Patient.findOneAndUpdate(
+      {
+        id: patient.id,
+        $or: [{ admissionStatus: 'discharged' }, { wardId: null }],
+      },
+      {
+        $set: {
+          wardId: ward.id,
+          bedAllocated,
+          admissionStatus: 'admitted',
+          dateOfAdm: admittedAt,
+        },
+        $unset: { dischargeDate: 1 },
+        $push: {
+          wardHistory: { event: 'admit', toWardId: ward.id, toBed: bedAllocated, reason, at: admittedAt, by: req.user.id },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!admittedPatient) {
+      if (bedAllocated) await releaseBed(bedAllocated, patient.id);
+      await releaseWard(ward.id);
+      return res.status(400).json({
+        success: false,
+        message: 'Patient was admitted by another request',
+      });
+    }
+
+    const encounter = await openEncounter({
+      patId: patient.id,
+      type: 'inpatient',
+      doctorId: patient.doctorId,
+      wardId: ward.id,
+      reason,
+      startedAt: admittedAt,
+      createdBy: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: admittedPatient,
+      ward,
+      encounter,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}/transfer:
+ *   post:
+ *     summary: Transfer an admitted patient to another ward
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wardId
+ *               - reason
+ *             properties:
+ *               wardId:
+ *                 type: integer
+ *               bedAllocated:
+ *                 type: integer
+ *                 description: ID of a bed in the ward
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Patient transferred successfully
+ *       400:
+ *         description: Patient not admitted, same ward, target ward at full capacity or bed not available
+ *       404:
+ *         description: Patient, ward or bed not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/transfer', protect, staff, async (req, res) => {
+  try {
+    const { wardId, bedAllocated, reason } = req.body;
+
+    if (!wardId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ward ID and reason are required',
+      });
+    }
+
+    const patient = await Patient.findOne({ id: req.params.id });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (patient.admissionStatus !== 'admitted' || !patient.wardId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient is not admitted to a ward',
+      });
+    }
+
+    if (patient.wardId === Number(wardId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient is already in this ward',
+      });
+    }
+
+    const ward = await occupyWard(wardId);
+    if (!ward) {
+      const { status, message } = await occupancyError(wardId);
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    // Give up the current bed first so the one-bed-per-patient rule holds
+    const previousBed = patient.bedAllocated
+      ? await releaseBed(patient.bedAllocated, patient.id)
+      : null;
+
+    if (bedAllocated && !(await assignBed(bedAllocated, ward.id, patient.id))) {
+      if (previousBed) await restoreBed(previousBed.id, patient.id);
+      await releaseWard(ward.id);
+      const { status, message } = await bedError(bedAllocated, ward.id, patient.id);
+      return res.status(status).json({
+        success: false,
+        message,
+      });
+    }
+
+    // Move only if the patient is still where we found them
+    const transferredPatient = await Patient.findOneAndUpdate(
+      { id: patient.id, wardId: patient.wardId, admissionStatus: 'admitted' },
+      {
+        $set: { wardId: ward.id, bedAllocated: bedAllocated || null },
+        $push: {
+          wardHistory: {
+            event: 'transfer',
+            fromWardId: patient.wardId,
+            toWardId: ward.id,
+            fromBed: patient.bedAllocated,
+            toBed: bedAllocated,
+            reason,
+            by: req.user.id,
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!transferredPatient) {
+      if (bedAllocated) await releaseBed(bedAllocated, patient.id);
+      if (previousBed) await restoreBed(previousBed.id, patient.id);
+      await releaseWard(ward.id);
+      return res.status(400).json({
+        success: false,
+        message: 'Patient was moved by another request',
+      });
+    }
+
+    await releaseWard(patient.wardId);
+    await moveInpatientEncounter(patient.id, ward.id);
+
+    res.status(200).json({
+      success: true,
+      data: transferredPatient,
+      ward,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}/discharge:
+ *   post:
+ *     summary: Discharge an admitted patient, free their ward place and bed and finish the inpatient encounter
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Patient discharged successfully
+ *       400:
+ *         description: Patient is not admitted
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/discharge', protect, staff, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.id });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (patient.admissionStatus !== 'admitted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient is not admitted',
+      });
+    }
+
+    const dischargedAt = new Date();
+    const dischargedPatient = await Patient.findOneAndUpdate(
+      { id: patient.id, admissionStatus: 'admitted' },
+      {
+        $set: { admissionStatus: 'discharged', dischargeDate: dischargedAt },
+        $unset: { wardId: 1, bedAllocated: 1 },
+        $push: {
+          wardHistory: {
+            event: 'discharge',
+            fromWardId: patient.wardId,
+            fromBed: patient.bedAllocated,
+            reason: req.body.reason,
+            at: dischargedAt,
+            by: req.user.id,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!dischargedPatient) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient was discharged by another request',
+      });
+    }
+
+    if (patient.wardId) {
+      await releaseWard(patient.wardId);
+    }
+    if (patient.bedAllocated) {
+      await releaseBed(patient.bedAllocated, patient.id);
+    }
+    await finishInpatientEncounter(patient.id, dischargedAt, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: dischargedPatient,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}/history:
+ *   get:
+ *     summary: Get a patient's allergies, problem list and medical history
+ *     description: Available to the patient's care team and to the patient.
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Allergies, problems, surgical, family and social history
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/history', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.id });
+    if (!patient) return patientNotFound(res);
+
+    if (!(await canViewRecord(req.user, patient))) return notCareTeam(res);
+
+    const history = {};
+    Object.values(HISTORY_SECTIONS).forEach(({ path }) => {
+      history[path] = patient[path];
+    });
+
+    res.status(200).json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}/timeline:
+ *   get:
+ *     summary: Get a patient's clinical and billing events as one timeline
+ *     description: Merges ward admissions, transfers and discharges, encounters, appointments, prescriptions, medicine assignments and administrations, lab orders, vitals, clinical notes, diagnoses, documents, invoices and payments. Available to the patient's care team and to the patient, who only sees signed notes.
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types, e.g. encounter,lab,vitals. Defaults to all types.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to desc, newest first
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *         description: Events per page, defaults to 50
+ *     responses:
+ *       200:
+ *         description: One page of events, each with its type, date, reference ID, summary and record
+ *       400:
+ *         description: Unknown event type or invalid date
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/timeline', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.id });
+    if (!patient) return patientNotFound(res);
+
+    if (!(await canViewRecord(req.user, patient))) return notCareTeam(res);
+
+    const types = req.query.types
+      ? req.query.types.split(',').map((type) => type.trim()).filter(Boolean)
+      : TIMELINE_TYPES;
+    const unknownType = types.find((type) => !TIMELINE_TYPES.includes(type));
+    if (unknownType) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown event type ${unknownType}; use: ${TIMELINE_TYPES.join(', ')}`,
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from or to date',
+      });
+    }
+
+    const page = Math.max(Math.floor(Number(req.query.page)) || 1, 1);
+    const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 50, 1), 200);
+
+    const { total, events } = await patientTimeline(patient, {
+      types,
+      from,
+      to,
+      order: req.query.order,
+      skip: (page - 1) * limit,
+      limit,
+      signedNotesOnly: req.user.role === 'patient',
+    });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: events,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/patients/{id}/{section}:
+ *   post:
+ *     summary: Add an entry to a patient's allergies, problem list or history
+ *     description: |
+ *       Only the patient's care team can add entries. Fields per section:
+ *       - allergies: substance (required), reaction, severity (mild, moderate, severe), notes
+ *       - problems: description (required), code (ICD-10), onsetDate, notes
+ *       - surgical-history: procedure (required), date, notes
+ *       - family-history: relation and condition (required), code (ICD-10), notes
+ *       - social-history: category (smoking, alcohol, substance_use, occupation, living_situation, other) and description (required), startDate, notes
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [allergies, problems, surgical-history, family-history, social-history]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       201:
+ *         description: Entry added; returns the entry
+ *       400:
+ *         description: Missing or invalid fields
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ * /api/patients/{id}/{section}/{entryId}:
+ *   put:
+ *     summary: Update an entry in a patient's allergies, problem list or history
+ *     description: Takes the same fields as adding an entry; use resolve to change its status.
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [allergies, problems, surgical-history, family-history, social-history]
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Entry updated; returns the entry
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Patient or entry not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ * /api/patients/{id}/{section}/{entryId}/resolve:
+ *   post:
+ *     summary: Resolve an entry in a patient's allergies, problem list or history
+ *     description: Resolved allergies are no longer checked when medicine is assigned.
+ *     tags: [Patients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [allergies, problems, surgical-history, family-history, social-history]
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resolvedDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Entry resolved; returns the entry
+ *       400:
+ *         description: Entry already resolved
+ *       404:
+ *         description: Patient or entry not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+Object.entries(HISTORY_SECTIONS).forEach(([segment, section]) => {
+  router.post(`/:id/${segment}`, protect, staff, async (req, res) => {
+    try {
+      const patient = await Patient.findOne({ id: req.params.id });
+      if (!patient) return patientNotFound(res);
+
+      if (!(await isCareTeam(req.user, patient))) return notCareTeam(res);
+
+      const { entry, error } = historyEntry(section, req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      const missing = section.required.find((field) => !entry[field]);
+      if (missing) {
+        return res.status(400).json({
+          success: false,
+          message: `${missing} is required`,
+        });
+      }
+
+      const updatedPatient = await Patient.findOneAndUpdate(
+        { id: patient.id },
+        { $push: { [section.path]: { ...entry, recordedBy: req.user.id } } },
+        { new: true, runValidators: true }
+      );
+      const entries = updatedPatient[section.path];
+
+      res.status(201).json({
+        success: true,
+        data: entries[entries.length - 1],
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message,
+      });
+    }
+  });
+
+  router.put(`/:id/${segment}/:entryId`, protect, staff, async (req, res) => {
+    try {
+      const patient = await Patient.findOne({ id: req.params.id });
+      if (!patient) return patientNotFound(res);
+
+      if (!(await isCareTeam(req.user, patient))) return notCareTeam(res);
+
+      const existing = patient[section.path].find((item) => String(item._id) === req.params.entryId);
+      if (!existing) return entryNotFound(res);
+
+      const { entry, error } = historyEntry(section, req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      const cleared = section.required.find((field) => field in entry && !entry[field]);
+      if (cleared) {
+        return res.status(400).json({
+          success: false,
+          message: `${cleared} is required`,
+        });
+      }
+
+      const updates = {};
+      Object.entries(entry).forEach(([field, value]) => {
+        updates[`${section.path}.$.${field}`] = value;
+      });
+
+      const updatedPatient = await Patient.findOneAndUpdate(
+        { id: patient.id, [`${section.path}._id`]: existing._id },
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+      if (!updatedPatient) return entryNotFound(res);
+
+      res.status(200).json({
+        success: true,
+        data: updatedPatient[section.path].id(existing._id),
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message,
+      });
+    }
+  });
+
+  router.post(`/:id/${segment}/:entryId/resolve`, protect, staff, async (req, res) => {
+    try {
+      const patient = await Patient.findOne({ id: req.params.id });
+      if (!patient) return patientNotFound(res);
+
+      if (!(await isCareTeam(req.user, patient))) return notCareTeam(res);
+
+      const existing = patient[section.path].find((item) => String(item._id) === req.params.entryId);
+      if (!existing) return entryNotFound(res);
+
+      const resolvedDate = req.body.resolvedDate ? new Date(req.body.resolvedDate) : new Date();
+      if (Number.isNaN(resolvedDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid resolution date',
+        });
+      }
+
+      const updatedPatient = await Patient.findOneAndUpdate(
+        { id: patient.id, [section.path]: { $elemMatch: { _id: existing._id, status: 'active' } } },
+        { $set: { [`${section.path}.$.status`]: 'resolved', [`${section.path}.$.resolvedDate`]: resolvedDate } },
+        { new: true }
+      );
+      if (!updatedPatient) {
+        return res.status(400).json({
+          success: false,
+          message: 'Entry is already resolved',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: updatedPatient[section.path].id(existing._id),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message,
+      });
+    }
+  });
+});
+
 module.exports = router;
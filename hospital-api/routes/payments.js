@@ -0,0 +1,435 @@
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Patient = require('../models/Patient');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const {
+  roundAmount,
+  netPaidByInvoice,
+  getPatientBalance,
+  recomputePaymentStatus,
+} = require('../utils/billing');
+
+const PAYMENT_METHODS = ['cash', 'card', 'insurance'];
+
+// Get highest payment ID and increment by 1
+const nextPaymentId = async () => {
+  const highestPayment = await Payment.findOne().sort('-id');
+  return highestPayment ? highestPayment.id + 1 : 1;
+};
+
+/**
+ * @swagger
+ * /api/payments:
+ *   post:
+ *     summary: Record a payment against an invoice
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - invoiceId
+ *               - amount
+ *               - method
+ *             properties:
+ *               invoiceId:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, insurance]
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded and patient payment status updated
+ *       400:
+ *         description: Invalid data, void invoice or amount exceeds the outstanding balance
+ *       404:
+ *         description: Invoice not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, staff, async (req, res) => {
+  try {
+    const { invoiceId, method, reference, notes } = req.body;
+    const amount = roundAmount(Number(req.body.amount));
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`,
+      });
+    }
+
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be greater than zero',
+      });
+    }
+
+    const invoice = await Invoice.findOne({ id: invoiceId });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot record a payment against a void invoice',
+      });
+    }
+
+    const netPaid = (await netPaidByInvoice([invoice.id])).get(invoice.id);
+    const balance = roundAmount(invoice.total - netPaid);
+    if (amount > balance) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount exceeds the outstanding balance of ${balance}`,
+      });
+    }
+
+    const payment = await Payment.create({
+      id: await nextPaymentId(),
+      invoiceId: invoice.id,
+      patId: invoice.patId,
+      type: 'payment',
+      method,
+      amount,
+      reference,
+      notes,
+      receivedBy: req.user.id,
+    });
+
+    const paymentStatus = await recomputePaymentStatus(invoice.patId);
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      balance: roundAmount(balance - amount),
+      paymentStatus,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/{id}/refund:
+ *   post:
+ *     summary: Refund all or part of a payment
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - notes
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *                 description: Reason for the refund
+ *               reference:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund recorded and patient payment status updated
+ *       400:
+ *         description: Invalid amount or refund exceeds the refundable amount
+ *       404:
+ *         description: Payment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/refund', protect, admin, async (req, res) => {
+  try {
+    const { notes, reference } = req.body;
+    const amount = roundAmount(Number(req.body.amount));
+
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be greater than zero',
+      });
+    }
+
+    if (!notes) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for refunds',
+      });
+    }
+
+    const payment = await Payment.findOne({ id: req.params.id, type: 'payment' });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found',
+      });
+    }
+
+    const previousRefunds = await Payment.find({ refundOf: payment.id, type: 'refund' });
+    const refunded = previousRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+    const refundable = roundAmount(payment.amount - refunded);
+    if (amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund exceeds the refundable amount of ${refundable}`,
+      });
+    }
+
+    const refund = await Payment.create({
+      id: await nextPaymentId(),
+      invoiceId: payment.invoiceId,
+      patId: payment.patId,
+      type: 'refund',
+      method: payment.method,
+      amount,
+      refundOf: payment.id,
+      reference,
+      notes,
+      receivedBy: req.user.id,
+    });
+
+    const paymentStatus = await recomputePaymentStatus(payment.patId);
+
+    res.status(201).json({
+      success: true,
+      data: refund,
+      paymentStatus,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/invoice/{invoiceId}:
+ *   get:
+ *     summary: Get the payment ledger for an invoice
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payments and refunds for the invoice with the remaining balance
+ *       404:
+ *         description: Invoice not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/invoice/:invoiceId', protect, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ id: req.params.invoiceId });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+      });
+    }
+
+    const payments = await Payment.find({ invoiceId: invoice.id }).sort('createdAt');
+    const netPaid = (await netPaidByInvoice([invoice.id])).get(invoice.id);
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      total: invoice.total,
+      paid: netPaid,
+      balance: invoice.status === 'void' ? 0 : roundAmount(invoice.total - netPaid),
+      data: payments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/patient/{patientId}/balance:
+ *   get:
+ *     summary: Get the outstanding balance for a patient
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Billed, paid and outstanding amounts per issued invoice
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId/balance', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    const balance = await getPatientBalance(patient.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...balance,
+        paymentStatus: patient.paymentStatus,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/reports/daily-close:
+ *   get:
+ *     summary: Get the cash-close report for a day
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day to report on (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Payments, refunds and net takings grouped by method
+ *       400:
+ *         description: Invalid date
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports/daily-close', protect, staff, async (req, res) => {
+  try {
+    const dayStart = req.query.date ? new Date(req.query.date) : new Date();
+    if (Number.isNaN(dayStart.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date',
+      });
+    }
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+
+    const entries = await Payment.find({
+      createdAt: { $gte: dayStart, $lt: dayEnd },
+    }).sort('createdAt');
+
+    const byMethod = {};
+    PAYMENT_METHODS.forEach((method) => {
+      byMethod[method] = { payments: 0, refunds: 0, net: 0, count: 0 };
+    });
+
+    entries.forEach((entry) => {
+      const summary = byMethod[entry.method];
+      if (entry.type === 'refund') {
+        summary.refunds = roundAmount(summary.refunds + entry.amount);
+      } else {
+        summary.payments = roundAmount(summary.payments + entry.amount);
+      }
+      summary.net = roundAmount(summary.payments - summary.refunds);
+      summary.count += 1;
+    });
+
+    const totals = Object.values(byMethod).reduce((sum, summary) => ({
+      payments: roundAmount(sum.payments + summary.payments),
+      refunds: roundAmount(sum.refunds + summary.refunds),
+      net: roundAmount(sum.net + summary.net),
+      count: sum.count + summary.count,
+    }), { payments: 0, refunds: 0, net: 0, count: 0 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date: dayStart,
+        byMethod,
+        totals,
+        entries,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
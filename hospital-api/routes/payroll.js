@@ -0,0 +1,615 @@
+const express = require('express');
+const router = express.Router();
+const PayrollRun = require('../models/PayrollRun');
+const Payslip = require('../models/Payslip');
+const Employee = require('../models/Employee');
+const { protect, admin } = require('../middleware/authMiddleware');
+const { roundAmount } = require('../utils/billing');
+const { payPeriod, computeRun } = require('../utils/payroll');
+
+// Run settings that can be supplied on create and changed while the run is a draft
+const RUN_SETTINGS = ['allowances', 'deductions', 'standardHours', 'overtimeMultiplier'];
+
+const pickSettings = (body) => RUN_SETTINGS.reduce((settings, field) => {
+  if (body[field] !== undefined) settings[field] = body[field];
+  return settings;
+}, {});
+
+const summarize = (payslips) => ({
+  employees: payslips.length,
+  gross: roundAmount(payslips.reduce((sum, payslip) => sum + payslip.gross, 0)),
+  deductions: roundAmount(payslips.reduce((sum, payslip) => sum + payslip.totalDeductions, 0)),
+  net: roundAmount(payslips.reduce((sum, payslip) => sum + payslip.net, 0)),
+});
+
+const runNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Payroll run not found',
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs:
+ *   get:
+ *     summary: Get all payroll runs
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of payroll runs, newest period first
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/runs', protect, admin, async (req, res) => {
+  try {
+    const runs = await PayrollRun.find().sort({ year: -1, month: -1 });
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs:
+ *   post:
+ *     summary: Create a draft payroll run for a month
+ *     description: Employee.salary is treated as the monthly base salary. Overtime is paid for rostered hours above standardHours. Approved unpaid leave in the month is deducted.
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - year
+ *               - month
+ *             properties:
+ *               year:
+ *                 type: integer
+ *               month:
+ *                 type: integer
+ *                 description: 1 (January) to 12 (December)
+ *               allowances:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [fixed, percent]
+ *                     value:
+ *                       type: number
+ *               deductions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [fixed, percent]
+ *                     value:
+ *                       type: number
+ *               standardHours:
+ *                 type: number
+ *                 default: 160
+ *               overtimeMultiplier:
+ *                 type: number
+ *                 default: 1.5
+ *     responses:
+ *       201:
+ *         description: Payroll run created successfully
+ *       400:
+ *         description: Invalid period or a run already exists for it
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/runs', protect, admin, async (req, res) => {
+  try {
+    const year = Number(req.body.year);
+    const month = Number(req.body.month);
+
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid year and month (1-12) are required',
+      });
+    }
+
+    const runExists = await PayrollRun.findOne({ year, month });
+    if (runExists) {
+      return res.status(400).json({
+        success: false,
+        message: `Payroll run ${runExists.id} already exists for this period`,
+      });
+    }
+
+    // Get highest run ID and increment by 1
+    const highestRun = await PayrollRun.findOne().sort('-id');
+    const newId = highestRun ? highestRun.id + 1 : 1;
+
+    const run = await PayrollRun.create({
+      id: newId,
+      year,
+      month,
+      ...payPeriod(year, month),
+      ...pickSettings(req.body),
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}:
+ *   get:
+ *     summary: Get payroll run by ID
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payroll run found
+ *       404:
+ *         description: Payroll run not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/runs/:id', protect, admin, async (req, res) => {
+  try {
+    const run = await PayrollRun.findOne({ id: req.params.id });
+    if (!run) return runNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}:
+ *   put:
+ *     summary: Update the settings of a draft payroll run
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allowances:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               deductions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               standardHours:
+ *                 type: number
+ *               overtimeMultiplier:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Payroll run updated successfully
+ *       400:
+ *         description: Run is no longer a draft
+ *       404:
+ *         description: Payroll run not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/runs/:id', protect, admin, async (req, res) => {
+  try {
+    const run = await PayrollRun.findOne({ id: req.params.id });
+    if (!run) return runNotFound(res);
+
+    const updatedRun = await PayrollRun.findOneAndUpdate(
+      { id: run.id, status: 'draft' },
+      pickSettings(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedRun) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a ${run.status} payroll run`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedRun,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}/preview:
+ *   get:
+ *     summary: Preview payslips for a payroll run without saving them
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Computed payslips and run totals
+ *       404:
+ *         description: Payroll run not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/runs/:id/preview', protect, admin, async (req, res) => {
+  try {
+    const run = await PayrollRun.findOne({ id: req.params.id });
+    if (!run) return runNotFound(res);
+
+    const payslips = await computeRun(run);
+
+    res.status(200).json({
+      success: true,
+      summary: summarize(payslips),
+      data: payslips,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}/finalize:
+ *   post:
+ *     summary: Finalize a draft payroll run and issue payslips
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payroll run finalized and payslips saved
+ *       400:
+ *         description: Run is not a draft
+ *       404:
+ *         description: Payroll run not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/runs/:id/finalize', protect, admin, async (req, res) => {
+  try {
+    const run = await PayrollRun.findOne({ id: req.params.id });
+    if (!run) return runNotFound(res);
+
+    if (run.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot finalize a ${run.status} payroll run`,
+      });
+    }
+
+    const computed = await computeRun(run);
+
+    // Get highest payslip ID and number the new payslips after it
+    const highestPayslip = await Payslip.findOne().sort('-id');
+    const firstId = highestPayslip ? highestPayslip.id + 1 : 1;
+    const payslips = await Payslip.insertMany(
+      computed.map((payslip, index) => ({ id: firstId + index, ...payslip }))
+    );
+
+    run.status = 'finalized';
+    run.finalizedBy = req.user.id;
+    run.finalizedAt = new Date();
+    await run.save();
+
+    res.status(200).json({
+      success: true,
+      data: run,
+      summary: summarize(payslips),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}/reopen:
+ *   post:
+ *     summary: Return a finalized payroll run to draft and withdraw its payslips
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payroll run reopened
+ *       400:
+ *         description: Run is not finalized
+ *       404:
+ *         description: Payroll run not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/runs/:id/reopen', protect, admin, async (req, res) => {
+  try {
+    const run = await PayrollRun.findOneAndUpdate(
+      { id: req.params.id, status: 'finalized' },
+      { $set: { status: 'draft' }, $unset: { finalizedBy: 1, finalizedAt: 1 } },
+      { new: true }
+    );
+
+    if (!run) {
+      const exists = await PayrollRun.exists({ id: req.params.id });
+      if (!exists) return runNotFound(res);
+      return res.status(400).json({
+        success: false,
+        message: 'Only finalized payroll runs can be reopened',
+      });
+    }
+
+    await Payslip.deleteMany({ runId: run.id });
+
+    res.status(200).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}/lock:
+ *   post:
+ *     summary: Lock a finalized payroll run so the period can no longer change
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payroll run locked
+ *       400:
+ *         description: Run is not finalized
+ *       404:
+ *         description: Payroll run not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/runs/:id/lock', protect, admin, async (req, res) => {
+  try {
+    const run = await PayrollRun.findOneAndUpdate(
+      { id: req.params.id, status: 'finalized' },
+      { status: 'locked', lockedBy: req.user.id, lockedAt: new Date() },
+      { new: true }
+    );
+
+    if (!run) {
+      const exists = await PayrollRun.exists({ id: req.params.id });
+      if (!exists) return runNotFound(res);
+      return res.status(400).json({
+        success: false,
+        message: 'Only finalized payroll runs can be locked',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}/payslips:
+ *   get:
+ *     summary: Get payslips issued by a payroll run
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of payslips in the run
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/runs/:id/payslips', protect, admin, async (req, res) => {
+  try {
+    const payslips = await Payslip.find({ runId: req.params.id }).sort('empId');
+    res.status(200).json({
+      success: true,
+      count: payslips.length,
+      summary: summarize(payslips),
+      data: payslips,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/payslips/employee/{empId}:
+ *   get:
+ *     summary: Get payslip history for an employee
+ *     description: Admins can view any employee; employees can view their own.
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: empId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of payslips, newest period first
+ *       404:
+ *         description: Employee not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/payslips/employee/:empId', protect, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ id: req.params.empId });
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found',
+      });
+    }
+
+    const isOwnRecord = employee.userId === req.user.id;
+    if (req.user.role !== 'admin' && !isOwnRecord) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view these payslips',
+      });
+    }
+
+    const payslips = await Payslip.find({ empId: employee.id }).sort({ year: -1, month: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: payslips.length,
+      data: payslips,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
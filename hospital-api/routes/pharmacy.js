@@ -0,0 +1,589 @@
+const express = require('express');
+const router = express.Router();
+const StockBatch = require('../models/StockBatch');
+const Medicine = require('../models/Medicine');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const { UNRESERVED, expiryWarningDays, stockLevels, consumeStock, expiringBatches } = require('../utils/inventory');
+const { reorderHistoryDays, reorderCoverDays, reorderSuggestions } = require('../utils/purchasing');
+
+// Stock summary row for a medicine
+const stockRow = (medicine, level) => {
+  const available = level ? level.available : 0;
+  return {
+    medicineId: medicine.id,
+    name: medicine.name,
+    qty: level ? level.qty : 0,
+    reserved: level ? level.reserved : 0,
+    available,
+    batches: level ? level.batches : 0,
+    nextExpiry: level ? level.nextExpiry : null,
+    lowStockThreshold: medicine.lowStockThreshold,
+    lowStock: available <= medicine.lowStockThreshold,
+  };
+};
+
+const batchNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Stock batch not found',
+});
+
+/**
+ * @swagger
+ * /api/pharmacy/stock:
+ *   get:
+ *     summary: Get usable stock for every medicine
+ *     description: Expired batches are not counted. Stock reserved for medicine assignments is not available.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock, reserved and available quantity, batch count, next expiry and low-stock flag per medicine
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/stock', protect, staff, async (req, res) => {
+  try {
+    const medicines = await Medicine.find().sort('name');
+    const levels = await stockLevels();
+    const rows = medicines.map((medicine) => stockRow(medicine, levels.get(medicine.id)));
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pharmacy/stock/{medicineId}:
+ *   get:
+ *     summary: Get stock and batches of a medicine
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: medicineId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Stock summary and batches with quantity left, earliest expiry first
+ *       404:
+ *         description: Medicine not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/stock/:medicineId', protect, staff, async (req, res) => {
+  try {
+    const medicine = await Medicine.findOne({ id: req.params.medicineId });
+    if (!medicine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found',
+      });
+    }
+
+    const levels = await stockLevels([medicine.id]);
+    const batches = await StockBatch.find({ medicineId: medicine.id, qty: { $gt: 0 } })
+      .sort({ expiryDate: 1, id: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...stockRow(medicine, levels.get(medicine.id)),
+        batchDetails: batches,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pharmacy/batches:
+ *   post:
+ *     summary: Receive a stock batch
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - medicineId
+ *               - batchNumber
+ *               - qty
+ *               - expiryDate
+ *             properties:
+ *               medicineId:
+ *                 type: integer
+ *               batchNumber:
+ *                 type: string
+ *               qty:
+ *                 type: integer
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *               supplier:
+ *                 type: string
+ *               costPrice:
+ *                 type: number
+ *                 description: Cost per unit
+ *     responses:
+ *       201:
+ *         description: Stock batch received
+ *       400:
+ *         description: Invalid data, expired batch or duplicate batch number
+ *       404:
+ *         description: Medicine not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/batches', protect, admin, async (req, res) => {
+  try {
+    const { medicineId, batchNumber, supplier, costPrice } = req.body;
+    const qty = Number(req.body.qty);
+    const expiryDate = new Date(req.body.expiryDate);
+
+    const medicine = await Medicine.findOne({ id: medicineId });
+    if (!medicine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found',
+      });
+    }
+
+    if (!Number.isInteger(qty) || qty < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a positive whole number',
+      });
+    }
+
+    if (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A future expiry date is required',
+      });
+    }
+
+    const batchExists = await StockBatch.findOne({ medicineId: medicine.id, batchNumber });
+    if (batchExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batch number already received for this medicine',
+      });
+    }
+
+    // Get highest batch ID and increment by 1
+    const highestBatch = await StockBatch.findOne().sort('-id');
+    const newId = highestBatch ? highestBatch.id + 1 : 1;
+
+    const batch = await StockBatch.create({
+      id: newId,
+      medicineId: medicine.id,
+      batchNumber,
+      receivedQty: qty,
+      qty,
+      expiryDate,
+      supplier,
+      costPrice,
+      receivedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: batch,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pharmacy/batches/{id}:
+ *   put:
+ *     summary: Correct supplier, cost price or expiry date of a batch
+ *     description: Quantities change only through consumption and write-offs.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplier:
+ *                 type: string
+ *               costPrice:
+ *                 type: number
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Stock batch updated
+ *       404:
+ *         description: Stock batch not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/batches/:id', protect, admin, async (req, res) => {
+  try {
+    const updates = {};
+    ['supplier', 'costPrice', 'expiryDate'].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const batch = await StockBatch.findOneAndUpdate(
+      { id: req.params.id },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!batch) return batchNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: batch,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pharmacy/batches/{id}/write-off:
+ *   post:
+ *     summary: Write off unreserved stock from a batch (expired, damaged or lost)
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               qty:
+ *                 type: integer
+ *                 description: Defaults to everything left in the batch that is not reserved
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stock written off
+ *       400:
+ *         description: Missing reason or more than the unreserved stock of the batch
+ *       404:
+ *         description: Stock batch not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/batches/:id/write-off', protect, admin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A write-off reason is required',
+      });
+    }
+
+    const batch = await StockBatch.findOne({ id: req.params.id });
+    if (!batch) return batchNotFound(res);
+
+    const qty = req.body.qty !== undefined ? Number(req.body.qty) : batch.qty - batch.reservedQty;
+    if (!Number.isInteger(qty) || qty < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a positive whole number',
+      });
+    }
+
+    const updatedBatch = await StockBatch.findOneAndUpdate(
+      { id: batch.id, $expr: { $gte: [UNRESERVED, qty] } },
+      {
+        $inc: { qty: -qty },
+        $push: { writeOffs: { qty, reason, by: req.user.id } },
+      },
+      { new: true }
+    );
+
+    if (!updatedBatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot write off more than the unreserved stock of the batch',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedBatch,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pharmacy/consume:
+ *   post:
+ *     summary: Take stock of a medicine first-expiry-first-out
+ *     description: Expired batches and reserved stock are skipped. Nothing is taken unless the full quantity is available.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - medicineId
+ *               - qty
+ *             properties:
+ *               medicineId:
+ *                 type: integer
+ *               qty:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Quantities taken from each batch
+ *       400:
+ *         description: Invalid quantity or insufficient stock
+ *       404:
+ *         description: Medicine not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/consume', protect, staff, async (req, res) => {
+  try {
+    const qty = Number(req.body.qty);
+
+    const medicine = await Medicine.findOne({ id: req.body.medicineId });
+    if (!medicine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found',
+      });
+    }
+
+    if (!Number.isInteger(qty) || qty < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a positive whole number',
+      });
+    }
+
+    const allocations = await consumeStock(medicine.id, qty);
+    if (!allocations) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock of ${medicine.name}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: allocations,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pharmacy/reports/low-stock:
+ *   get:
+ *     summary: Get medicines at or below their low-stock threshold
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Medicines needing restock, lowest available stock first
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports/low-stock', protect, staff, async (req, res) => {
+  try {
+    const medicines = await Medicine.find();
+    const levels = await stockLevels();
+    const rows = medicines
+      .map((medicine) => stockRow(medicine, levels.get(medicine.id)))
+      .filter((row) => row.lowStock)
+      .sort((a, b) => a.available - b.available);
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pharmacy/reports/reorder:
+ *   get:
+ *     summary: Get reorder suggestions
+ *     description: Usage is averaged over dispensed medicine assignments in the last PHARMACY_REORDER_HISTORY_DAYS (default 90). A medicine is suggested when available plus on-order stock is at or below its low-stock threshold plus usage during the last supplier's lead time; the quantity also covers PHARMACY_REORDER_COVER_DAYS (default 30) of usage.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Suggested quantities with the supplier and unit cost last ordered at, largest first
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports/reorder', protect, staff, async (req, res) => {
+  try {
+    const rows = await reorderSuggestions();
+    rows.sort((a, b) => b.suggestedQty - a.suggestedQty);
+
+    res.status(200).json({
+      success: true,
+      historyDays: reorderHistoryDays(),
+      coverDays: reorderCoverDays(),
+      count: rows.length,
+      data: rows,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/pharmacy/reports/expiring:
+ *   get:
+ *     summary: Get batches expiring soon or already expired with stock left
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *         description: Look-ahead window (defaults to PHARMACY_EXPIRY_WARNING_DAYS, 30)
+ *     responses:
+ *       200:
+ *         description: Batches with medicine names, earliest expiry first
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports/expiring', protect, staff, async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : expiryWarningDays();
+    const batches = await expiringBatches(days);
+    const medicines = await Medicine.find({ id: { $in: batches.map((batch) => batch.medicineId) } });
+    const names = new Map(medicines.map((medicine) => [medicine.id, medicine.name]));
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      days,
+      count: batches.length,
+      data: batches.map((batch) => ({
+        ...batch.toObject(),
+        medicineName: names.get(batch.medicineId) || null,
+        expired: batch.expiryDate <= now,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,650 @@
+const express = require('express');
+const router = express.Router();
+const Prescription = require('../models/Prescription');
+const Patient = require('../models/Patient');
+const { protect, doctor, staff } = require('../middleware/authMiddleware');
+const { doctorForUser, buildLine, plainLines, signVersion } = require('../utils/prescriptions');
+const { encounterForPatient } = require('../utils/encounters');
+
+const prescriptionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Prescription not found',
+});
+
+const noDoctorProfile = (res) => res.status(401).json({
+  success: false,
+  message: 'Only doctors with a doctor profile can sign prescriptions',
+});
+
+const versionConflict = (res) => res.status(400).json({
+  success: false,
+  message: 'Prescription was changed by someone else; reload and try again',
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PrescriptionLine:
+ *       type: object
+ *       required:
+ *         - medicineId
+ *         - dose
+ *         - unit
+ *         - route
+ *         - frequency
+ *       properties:
+ *         medicineId:
+ *           type: integer
+ *         dose:
+ *           type: number
+ *         unit:
+ *           type: string
+ *           example: mg
+ *         route:
+ *           type: string
+ *           enum: [oral, sublingual, iv, im, sc, topical, inhaled, rectal, ophthalmic, otic, nasal, other]
+ *         frequency:
+ *           type: string
+ *           example: BID
+ *         times:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['08:00', '20:00']
+ *           description: Administration times; derived from the frequency when omitted
+ *         durationDays:
+ *           type: integer
+ *           description: Sets the stop date when no stop date is given
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to now
+ *         stopDate:
+ *           type: string
+ *           format: date-time
+ *         prn:
+ *           type: boolean
+ *           description: Given only when needed
+ *         instructions:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/prescriptions/patient/{patientId}:
+ *   get:
+ *     summary: Get prescriptions of a patient
+ *     description: Patients can only view their own prescriptions.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, discontinued]
+ *     responses:
+ *       200:
+ *         description: List of prescriptions, newest first, without version history
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (req.user.role === 'patient' && patient.userId !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view these prescriptions',
+      });
+    }
+
+    const filter = { patId: patient.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const prescriptions = await Prescription.find(filter).select('-versions').sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: prescriptions.length,
+      data: prescriptions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}:
+ *   get:
+ *     summary: Get prescription by ID with its version history
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Prescription found
+ *       404:
+ *         description: Prescription not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, staff, async (req, res) => {
+  try {
+    const prescription = await Prescription.findOne({ id: req.params.id });
+    if (!prescription) return prescriptionNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: prescription,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prescriptions:
+ *   post:
+ *     summary: Write and sign a prescription
+ *     description: Signed by the doctor profile of the signed-in user.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patId
+ *               - lines
+ *             properties:
+ *               patId:
+ *                 type: integer
+ *               encounterId:
+ *                 type: integer
+ *                 description: Encounter the prescription was written in
+ *               notes:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PrescriptionLine'
+ *     responses:
+ *       201:
+ *         description: Prescription signed
+ *       400:
+ *         description: Invalid line
+ *       404:
+ *         description: Patient or encounter not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, doctor, async (req, res) => {
+  try {
+    const { patId, encounterId, notes } = req.body;
+
+    const prescriber = await doctorForUser(req.user);
+    if (!prescriber) return noDoctorProfile(res);
+
+    const patient = await Patient.findOne({ id: patId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found',
+      });
+    }
+
+    if (encounterId && !(await encounterForPatient(encounterId, patient.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Encounter not found for this patient',
+      });
+    }
+
+    if (!Array.isArray(req.body.lines) || req.body.lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one prescription line is required',
+      });
+    }
+
+    const lines = [];
+    for (const [index, input] of req.body.lines.entries()) {
+      const { line, error } = await buildLine(input, index + 1);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${index + 1}: ${error}`,
+        });
+      }
+      lines.push(line);
+    }
+
+    // Get highest prescription ID and increment by 1
+    const highestPrescription = await Prescription.findOne().sort('-id');
+    const newId = highestPrescription ? highestPrescription.id + 1 : 1;
+    const signedAt = new Date();
+
+    const prescription = await Prescription.create({
+      id: newId,
+      patId: patient.id,
+      doctorId: prescriber.id,
+      encounterId,
+      notes,
+      lines,
+      signedBy: prescriber.id,
+      signedAt,
+      versions: [{ version: 1, change: 'created', lines, signedBy: prescriber.id, signedAt }],
+    });
+
+    res.status(201).json({
+      success: true,
+      data: prescription,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}/lines:
+ *   post:
+ *     summary: Add a line to an active prescription
+ *     description: Creates a new signed version.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrescriptionLine'
+ *     responses:
+ *       200:
+ *         description: Line added
+ *       400:
+ *         description: Invalid line or prescription discontinued, or a newer version was signed meanwhile
+ *       404:
+ *         description: Prescription not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/lines', protect, doctor, async (req, res) => {
+  try {
+    const prescriber = await doctorForUser(req.user);
+    if (!prescriber) return noDoctorProfile(res);
+
+    const prescription = await Prescription.findOne({ id: req.params.id });
+    if (!prescription) return prescriptionNotFound(res);
+
+    if (prescription.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add lines to a discontinued prescription',
+      });
+    }
+
+    const lineId = Math.max(0, ...prescription.lines.map((line) => line.lineId)) + 1;
+    const { line, error } = await buildLine(req.body, lineId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const updated = await signVersion(
+      prescription,
+      prescriber.id,
+      [...plainLines(prescription), line],
+      'line_added',
+      { lineId }
+    );
+    if (!updated) return versionConflict(res);
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}/lines/{lineId}:
+ *   put:
+ *     summary: Modify an active prescription line
+ *     description: Unchanged fields keep their values. Creates a new signed version; earlier versions stay in the history.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PrescriptionLine'
+ *               - type: object
+ *                 properties:
+ *                   reason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Line modified
+ *       400:
+ *         description: Invalid line or line not active, or a newer version was signed meanwhile
+ *       404:
+ *         description: Prescription or line not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/lines/:lineId', protect, doctor, async (req, res) => {
+  try {
+    const prescriber = await doctorForUser(req.user);
+    if (!prescriber) return noDoctorProfile(res);
+
+    const prescription = await Prescription.findOne({ id: req.params.id });
+    if (!prescription) return prescriptionNotFound(res);
+
+    const lineId = Number(req.params.lineId);
+    const lines = plainLines(prescription);
+    const index = lines.findIndex((line) => line.lineId === lineId);
+    if (index === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription line not found',
+      });
+    }
+
+    if (lines[index].status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot modify a discontinued line',
+      });
+    }
+
+    // A new duration recalculates the stop date unless one is given
+    const current = { ...lines[index] };
+    if (req.body.durationDays !== undefined && req.body.stopDate === undefined) delete current.stopDate;
+
+    const { line, error } = await buildLine({ ...current, ...req.body }, lineId);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    lines[index] = line;
+
+    const updated = await signVersion(prescription, prescriber.id, lines, 'line_modified', {
+      lineId,
+      reason: req.body.reason,
+    });
+    if (!updated) return versionConflict(res);
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}/lines/{lineId}/discontinue:
+ *   post:
+ *     summary: Discontinue a prescription line
+ *     description: Creates a new signed version. The prescription is discontinued once no line is active.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Line discontinued
+ *       400:
+ *         description: Missing reason or line already discontinued, or a newer version was signed meanwhile
+ *       404:
+ *         description: Prescription or line not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/lines/:lineId/discontinue', protect, doctor, async (req, res) => {
+  try {
+    const reason = req.body && req.body.reason;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason for discontinuing is required',
+      });
+    }
+
+    const prescriber = await doctorForUser(req.user);
+    if (!prescriber) return noDoctorProfile(res);
+
+    const prescription = await Prescription.findOne({ id: req.params.id });
+    if (!prescription) return prescriptionNotFound(res);
+
+    const lineId = Number(req.params.lineId);
+    const lines = plainLines(prescription);
+    const line = lines.find((item) => item.lineId === lineId);
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription line not found',
+      });
+    }
+
+    if (line.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Line is already discontinued',
+      });
+    }
+
+    Object.assign(line, { status: 'discontinued', discontinuedAt: new Date(), discontinueReason: reason });
+
+    const updated = await signVersion(prescription, prescriber.id, lines, 'line_discontinued', { lineId, reason });
+    if (!updated) return versionConflict(res);
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prescriptions/{id}/discontinue:
+ *   post:
+ *     summary: Discontinue every active line of a prescription
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Prescription discontinued
+ *       400:
+ *         description: Missing reason or prescription already discontinued, or a newer version was signed meanwhile
+ *       404:
+ *         description: Prescription not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/discontinue', protect, doctor, async (req, res) => {
+  try {
+    const reason = req.body && req.body.reason;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason for discontinuing is required',
+      });
+    }
+
+    const prescriber = await doctorForUser(req.user);
+    if (!prescriber) return noDoctorProfile(res);
+
+    const prescription = await Prescription.findOne({ id: req.params.id });
+    if (!prescription) return prescriptionNotFound(res);
+
+    if (prescription.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Prescription is already discontinued',
+      });
+    }
+
+    const discontinuedAt = new Date();
+    const lines = plainLines(prescription).map((line) => (
+      line.status === 'active'
+        ? { ...line, status: 'discontinued', discontinuedAt, discontinueReason: reason }
+        : line
+    ));
+
+    const updated = await signVersion(prescription, prescriber.id, lines, 'discontinued', { reason });
+    if (!updated) return versionConflict(res);
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,726 @@
+const express = require('express');
+const router = express.Router();
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const StockBatch = require('../models/StockBatch');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const { buildOrderLines } = require('../utils/purchasing');
+
+// Orders that can still take goods receipts
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+const orderNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Purchase order not found',
+});
+
+const activeSupplier = async (supplierId) => Supplier.findOne({ id: supplierId, active: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PurchaseOrderLine:
+ *       type: object
+ *       required:
+ *         - medicineId
+ *         - qty
+ *         - unitCost
+ *       properties:
+ *         medicineId:
+ *           type: integer
+ *         qty:
+ *           type: integer
+ *         unitCost:
+ *           type: number
+ *           description: Agreed cost per unit, used as the cost price of batches received
+ */
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   get:
+ *     summary: Get purchase orders
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, partially_received, received, closed]
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase orders, newest first
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, staff, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.supplierId) filter.supplierId = req.query.supplierId;
+
+    const orders = await PurchaseOrder.find(filter).sort('-id');
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      data: orders,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   get:
+ *     summary: Get purchase order by ID
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order with its lines and goods receipts
+ *       404:
+ *         description: Purchase order not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, staff, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     summary: Create a draft purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplierId
+ *               - lines
+ *             properties:
+ *               supplierId:
+ *                 type: integer
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PurchaseOrderLine'
+ *               expectedDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Draft purchase order created
+ *       400:
+ *         description: Invalid lines
+ *       404:
+ *         description: Active supplier not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const { supplierId, expectedDate, notes } = req.body;
+
+    const supplier = await activeSupplier(supplierId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active supplier not found',
+      });
+    }
+
+    const { lines, error } = await buildOrderLines(req.body.lines);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Get highest purchase order ID and increment by 1
+    const highestOrder = await PurchaseOrder.findOne().sort('-id');
+    const newId = highestOrder ? highestOrder.id + 1 : 1;
+
+    const order = await PurchaseOrder.create({
+      id: newId,
+      supplierId: supplier.id,
+      lines,
+      expectedDate,
+      notes,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   put:
+ *     summary: Update a draft purchase order
+ *     description: Lines sent replace the existing lines. Orders can only be edited while in draft.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplierId:
+ *                 type: integer
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PurchaseOrderLine'
+ *               expectedDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order updated
+ *       400:
+ *         description: Order is not a draft or invalid lines
+ *       404:
+ *         description: Purchase order or active supplier not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    const updates = {};
+    ['expectedDate', 'notes'].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (req.body.supplierId !== undefined) {
+      const supplier = await activeSupplier(req.body.supplierId);
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: 'Active supplier not found',
+        });
+      }
+      updates.supplierId = supplier.id;
+    }
+
+    if (req.body.lines !== undefined) {
+      const { lines, error } = await buildOrderLines(req.body.lines);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      updates.lines = lines;
+    }
+
+    const updatedOrder = await PurchaseOrder.findOneAndUpdate(
+      { id: order.id, status: 'draft' },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!updatedOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be edited',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedOrder,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/send:
+ *   post:
+ *     summary: Mark a draft purchase order as sent to the supplier
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order sent
+ *       400:
+ *         description: Order is not a draft or the supplier is inactive
+ *       404:
+ *         description: Purchase order not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/send', protect, admin, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    const supplier = await activeSupplier(order.supplierId);
+    if (!supplier) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier is inactive',
+      });
+    }
+
+    const sentOrder = await PurchaseOrder.findOneAndUpdate(
+      { id: order.id, status: 'draft' },
+      { status: 'sent', sentAt: new Date(), sentBy: req.user.id },
+      { new: true }
+    );
+    if (!sentOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be sent',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: sentOrder,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receive:
+ *   post:
+ *     summary: Record a goods receipt against a purchase order
+ *     description: Creates a stock batch per item at the line's unit cost unless costPrice is given. The order becomes partially received, or received once every line is complete.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - lineId
+ *                     - qty
+ *                     - batchNumber
+ *                     - expiryDate
+ *                   properties:
+ *                     lineId:
+ *                       type: integer
+ *                     qty:
+ *                       type: integer
+ *                     batchNumber:
+ *                       type: string
+ *                     expiryDate:
+ *                       type: string
+ *                       format: date
+ *                     costPrice:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Goods received; returns the order and the batches created
+ *       400:
+ *         description: Order not open for receipt, more than outstanding, invalid item or duplicate batch number
+ *       404:
+ *         description: Purchase order not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/receive', protect, admin, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only sent or partially received purchase orders can be received',
+      });
+    }
+
+    const { items } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one received item is required',
+      });
+    }
+
+    // Validate every item before any stock is created
+    const lines = order.lines.map((line) => line.toObject());
+    const now = new Date();
+    const received = [];
+
+    for (const item of items) {
+      const line = lines.find((candidate) => candidate.lineId === Number(item.lineId));
+      if (!line) {
+        return res.status(400).json({
+          success: false,
+          message: `Order line ${item.lineId} not found`,
+        });
+      }
+
+      const qty = Number(item.qty);
+      if (!Number.isInteger(qty) || qty < 1 || line.receivedQty + qty > line.qty) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${line.lineId} has ${line.qty - line.receivedQty} outstanding`,
+        });
+      }
+
+      const expiryDate = new Date(item.expiryDate);
+      if (!item.batchNumber || Number.isNaN(expiryDate.getTime()) || expiryDate <= now) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${line.lineId} needs a batch number and a future expiry date`,
+        });
+      }
+
+      const costPrice = item.costPrice !== undefined ? Number(item.costPrice) : line.unitCost;
+      if (Number.isNaN(costPrice) || costPrice < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Cost price of line ${line.lineId} is invalid`,
+        });
+      }
+
+      const batchNumber = String(item.batchNumber).trim();
+      const duplicate = received.some((other) => other.medicineId === line.medicineId && other.batchNumber === batchNumber)
+        || await StockBatch.exists({ medicineId: line.medicineId, batchNumber });
+      if (duplicate) {
+        return res.status(400).json({
+          success: false,
+          message: `Batch ${batchNumber} already received for this medicine`,
+        });
+      }
+
+      line.receivedQty += qty;
+      received.push({ lineId: line.lineId, medicineId: line.medicineId, qty, batchNumber, expiryDate, costPrice });
+    }
+
+    const supplier = await Supplier.findOne({ id: order.supplierId });
+
+    // Get highest batch ID and increment by 1
+    const highestBatch = await StockBatch.findOne().sort('-id');
+    const firstId = highestBatch ? highestBatch.id + 1 : 1;
+
+    const batches = [];
+    try {
+      for (const [index, item] of received.entries()) {
+        batches.push(await StockBatch.create({
+          id: firstId + index,
+          medicineId: item.medicineId,
+          batchNumber: item.batchNumber,
+          receivedQty: item.qty,
+          qty: item.qty,
+          expiryDate: item.expiryDate,
+          supplier: supplier ? supplier.name : undefined,
+          supplierId: order.supplierId,
+          purchaseOrderId: order.id,
+          costPrice: item.costPrice,
+          receivedAt: now,
+          receivedBy: req.user.id,
+        }));
+      }
+    } catch (createError) {
+      await StockBatch.deleteMany({ id: { $in: batches.map((batch) => batch.id) } });
+      // Another receipt took a batch ID or number at the same time
+      if (createError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Stock changed while receiving; please retry',
+        });
+      }
+      throw createError;
+    }
+
+    const complete = lines.every((line) => line.receivedQty === line.qty);
+    const updatedOrder = await PurchaseOrder.findOneAndUpdate(
+      // Only apply if no other receipt was recorded meanwhile
+      { id: order.id, status: order.status, receipts: { $size: order.receipts.length } },
+      {
+        $set: { lines, status: complete ? 'received' : 'partially_received' },
+        $push: {
+          receipts: {
+            at: now,
+            by: req.user.id,
+            items: received.map((item, index) => ({
+              lineId: item.lineId,
+              batchId: batches[index].id,
+              batchNumber: item.batchNumber,
+              qty: item.qty,
+              expiryDate: item.expiryDate,
+            })),
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedOrder) {
+      await StockBatch.deleteMany({ id: { $in: batches.map((batch) => batch.id) } });
+      return res.status(400).json({
+        success: false,
+        message: 'Purchase order changed while receiving; please retry',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedOrder,
+      batches,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/close:
+ *   post:
+ *     summary: Close a purchase order
+ *     description: Received orders close without a reason. Sent or partially received orders can be closed short with a reason; their outstanding quantities are no longer expected.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order closed
+ *       400:
+ *         description: Order is a draft or already closed, or a reason is missing
+ *       404:
+ *         description: Purchase order not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/close', protect, admin, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    if (!['received', ...RECEIVABLE_STATUSES].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: order.status === 'draft'
+          ? 'Draft purchase orders are deleted rather than closed'
+          : 'Purchase order is already closed',
+      });
+    }
+
+    const { reason } = req.body;
+    if (order.status !== 'received' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to close an order before everything is received',
+      });
+    }
+
+    const closedOrder = await PurchaseOrder.findOneAndUpdate(
+      { id: order.id, status: order.status },
+      { status: 'closed', closedAt: new Date(), closedBy: req.user.id, closeReason: reason },
+      { new: true }
+    );
+    if (!closedOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'Purchase order changed meanwhile; please retry',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: closedOrder,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   delete:
+ *     summary: Delete a draft purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase order deleted
+ *       400:
+ *         description: Order has been sent
+ *       404:
+ *         description: Purchase order not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ id: req.params.id });
+    if (!order) return orderNotFound(res);
+
+    const deleted = await PurchaseOrder.findOneAndDelete({ id: order.id, status: 'draft' });
+    if (!deleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sent purchase orders cannot be deleted; close them instead',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
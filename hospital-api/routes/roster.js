@@ -0,0 +1,528 @@
+const express = require('express');
+const router = express.Router();
+const ShiftTemplate = require('../models/ShiftTemplate');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const Employee = require('../models/Employee');
+const Ward = require('../models/Ward');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+const { startOfDay } = require('../utils/scheduling');
+const { minRestHours, shiftWindow, findConflicts, findRestViolations } = require('../utils/roster');
+const { findApprovedLeave } = require('../utils/leave');
+const { visibleEmployee } = require('../utils/payroll');
+
+/**
+ * @swagger
+ * /api/roster/shifts:
+ *   get:
+ *     summary: Get all shift templates
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of shift templates
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/shifts', protect, staff, async (req, res) => {
+  try {
+    const shifts = await ShiftTemplate.find().sort('startTime');
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      data: shifts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roster/shifts:
+ *   post:
+ *     summary: Create a shift template
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - startTime
+ *               - endTime
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: night
+ *               name:
+ *                 type: string
+ *                 example: Night shift
+ *               startTime:
+ *                 type: string
+ *                 example: '22:00'
+ *               endTime:
+ *                 type: string
+ *                 example: '06:00'
+ *                 description: An end time not after the start time means the shift runs past midnight
+ *     responses:
+ *       201:
+ *         description: Shift template created successfully
+ *       400:
+ *         description: Invalid data or duplicate code
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/shifts', protect, admin, async (req, res) => {
+  try {
+    const { code, name, startTime, endTime } = req.body;
+
+    const shiftExists = await ShiftTemplate.findOne({ code: String(code).toLowerCase() });
+    if (shiftExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift template already exists with this code',
+      });
+    }
+
+    // Get highest shift template ID and increment by 1
+    const highestShift = await ShiftTemplate.findOne().sort('-id');
+    const newId = highestShift ? highestShift.id + 1 : 1;
+
+    const shift = await ShiftTemplate.create({
+      id: newId,
+      code,
+      name,
+      startTime,
+      endTime
+    });
+
+    res.status(201).json({
+      success: true,
+      data: shift,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roster/shifts/{id}:
+ *   put:
+ *     summary: Update a shift template
+ *     description: Changes apply to shifts assigned afterwards; existing assignments keep their times.
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shift template updated successfully
+ *       404:
+ *         description: Shift template not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/shifts/:id', protect, admin, async (req, res) => {
+  try {
+    const shift = await ShiftTemplate.findOne({ id: req.params.id });
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift template not found',
+      });
+    }
+
+    const { code, ...updates } = req.body;
+
+    const updatedShift = await ShiftTemplate.findOneAndUpdate(
+      { id: req.params.id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: updatedShift,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roster/assignments:
+ *   get:
+ *     summary: Get shift assignments
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Exclusive end day
+ *       - in: query
+ *         name: wardId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: empId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of scheduled shift assignments
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/assignments', protect, staff, async (req, res) => {
+  try {
+    const filter = { status: 'scheduled' };
+    if (req.query.wardId) filter.wardId = req.query.wardId;
+    if (req.query.empId) filter.empId = req.query.empId;
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = startOfDay(req.query.from);
+      if (req.query.to) filter.date.$lt = startOfDay(req.query.to);
+    }
+
+    const assignments = await ShiftAssignment.find(filter).sort('start');
+
+    res.status(200).json({
+      success: true,
+      count: assignments.length,
+      data: assignments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roster/assignments:
+ *   post:
+ *     summary: Assign an employee to a ward and shift on a day
+ *     description: Admin only, and never for the admin's own employee record. Refused when the employee is on approved leave, when it overlaps another shift of the employee, or when it leaves less than ROSTER_MIN_REST_HOURS of rest unless a rest override reason is given.
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - empId
+ *               - wardId
+ *               - shiftId
+ *               - date
+ *             properties:
+ *               empId:
+ *                 type: integer
+ *               wardId:
+ *                 type: integer
+ *               shiftId:
+ *                 type: integer
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               restOverrideReason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shift assigned successfully
+ *       400:
+ *         description: Employee terminated or on leave, overlapping shift or rest-time violation
+ *       404:
+ *         description: Employee, ward or shift template not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/assignments', protect, admin, async (req, res) => {
+  try {
+    const { empId, wardId, shiftId, date, restOverrideReason } = req.body;
+
+    const employee = await Employee.findOne({ id: empId });
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found',
+      });
+    }
+
+    // Being on shift on a ward grants access to its patients' records
+    if (employee.userId === req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'You cannot roster yourself',
+      });
+    }
+
+    if (employee.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot roster a terminated employee',
+      });
+    }
+
+    const ward = await Ward.findOne({ id: wardId });
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found',
+      });
+    }
+
+    const shift = await ShiftTemplate.findOne({ id: shiftId });
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift template not found',
+      });
+    }
+
+    const { start, end } = shiftWindow(shift, date);
+
+    const leave = await findApprovedLeave(employee.id, start, end);
+    if (leave) {
+      return res.status(400).json({
+        success: false,
+        message: `Employee is on approved leave (request ${leave.id})`,
+      });
+    }
+
+    const conflicts = await findConflicts(employee.id, start, end);
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Employee already has an overlapping shift',
+        conflicts,
+      });
+    }
+
+    const restViolations = await findRestViolations(employee.id, start, end);
+    if (restViolations.length > 0 && !restOverrideReason) {
+      return res.status(400).json({
+        success: false,
+        message: `Employee would get less than ${minRestHours()} hours of rest between shifts`,
+        restViolations,
+      });
+    }
+
+    // Get highest assignment ID and increment by 1
+    const highestAssignment = await ShiftAssignment.findOne().sort('-id');
+    const newId = highestAssignment ? highestAssignment.id + 1 : 1;
+
+    const assignment = await ShiftAssignment.create({
+      id: newId,
+      empId: employee.id,
+      wardId: ward.id,
+      shiftId: shift.id,
+      date: startOfDay(date),
+      start,
+      end,
+      restOverrideReason: restViolations.length > 0 ? restOverrideReason : undefined,
+      assignedBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: assignment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roster/assignments/{id}:
+ *   delete:
+ *     summary: Cancel a shift assignment (admin only)
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shift assignment cancelled
+ *       404:
+ *         description: Shift assignment not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/assignments/:id', protect, admin, async (req, res) => {
+  try {
+    const assignment = await ShiftAssignment.findOneAndUpdate(
+      { id: req.params.id, status: 'scheduled' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift assignment not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift assignment cancelled',
+      data: assignment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roster/on-duty:
+ *   get:
+ *     summary: Get employees on duty at a given time
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: wardId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: wardType
+ *         schema:
+ *           type: string
+ *           enum: [general, private, icu, emergency]
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Shift assignments in progress with their employees
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/on-duty', protect, staff, async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const filter = {
+      status: 'scheduled',
+      start: { $lte: at },
+      end: { $gt: at },
+    };
+
+    if (req.query.wardId) {
+      filter.wardId = req.query.wardId;
+    } else if (req.query.wardType) {
+      const wards = await Ward.find({ type: req.query.wardType });
+      filter.wardId = { $in: wards.map((ward) => ward.id) };
+    }
+
+    const assignments = await ShiftAssignment.find(filter).sort('wardId');
+    const employees = await Employee.find({ id: { $in: assignments.map((assignment) => assignment.empId) } });
+    const employeesById = new Map(employees.map((employee) => [employee.id, employee]));
+
+    res.status(200).json({
+      success: true,
+      at,
+      count: assignments.length,
+      data: assignments.map((assignment) => ({
+        ...assignment.toObject(),
+        employee: employeesById.has(assignment.empId)
+          ? visibleEmployee(req.user, employeesById.get(assignment.empId))
+          : null,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
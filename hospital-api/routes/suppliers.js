@@ -0,0 +1,326 @@
+const express = require('express');
+const router = express.Router();
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { protect, admin, staff } = require('../middleware/authMiddleware');
+
+const supplierNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Supplier not found',
+});
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   get:
+ *     summary: Get all suppliers
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of suppliers by name
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, staff, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+    const suppliers = await Supplier.find(filter).sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     summary: Get supplier by ID
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Supplier found
+ *       404:
+ *         description: Supplier not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, staff, async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({ id: req.params.id });
+    if (!supplier) return supplierNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: supplier,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Create a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               contactName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               leadTimeDays:
+ *                 type: integer
+ *                 description: Usual days from sending an order to receiving it (default 7)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ *       400:
+ *         description: Invalid data or duplicate name
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const { name, contactName, email, phone, address, leadTimeDays, notes } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier name is required',
+      });
+    }
+
+    const supplierExists = await Supplier.findOne({ name: name.trim() });
+    if (supplierExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier already exists with this name',
+      });
+    }
+
+    // Get highest supplier ID and increment by 1
+    const highestSupplier = await Supplier.findOne().sort('-id');
+    const newId = highestSupplier ? highestSupplier.id + 1 : 1;
+
+    const supplier = await Supplier.create({
+      id: newId,
+      name,
+      contactName,
+      email,
+      phone,
+      address,
+      leadTimeDays,
+      notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: supplier,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   put:
+ *     summary: Update a supplier
+ *     description: Set active to false to stop new orders to the supplier.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               contactName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               leadTimeDays:
+ *                 type: integer
+ *               active:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       400:
+ *         description: Invalid data or duplicate name
+ *       404:
+ *         description: Supplier not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({ id: req.params.id });
+    if (!supplier) return supplierNotFound(res);
+
+    const { id, ...updates } = req.body;
+
+    if (updates.name) {
+      const nameTaken = await Supplier.findOne({ name: updates.name.trim(), id: { $ne: supplier.id } });
+      if (nameTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Supplier already exists with this name',
+        });
+      }
+    }
+
+    const updatedSupplier = await Supplier.findOneAndUpdate(
+      { id: supplier.id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: updatedSupplier,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   delete:
+ *     summary: Delete a supplier
+ *     description: Suppliers with purchase orders cannot be deleted; deactivate them instead.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Supplier deleted
+ *       400:
+ *         description: Supplier has purchase orders
+ *       404:
+ *         description: Supplier not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({ id: req.params.id });
+    if (!supplier) return supplierNotFound(res);
+
+    const hasOrders = await PurchaseOrder.exists({ supplierId: supplier.id });
+    if (hasOrders) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier has purchase orders; deactivate it instead',
+      });
+    }
+
+    await Supplier.deleteOne({ id: supplier.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,361 @@
+const express = require('express');
+const router = express.Router();
+const Vitals = require('../models/Vitals');
+const Patient = require('../models/Patient');
+const Ward = require('../models/Ward');
+const { protect, staff } = require('../middleware/authMiddleware');
+const { alertThreshold, scoreVitals, needsAlert } = require('../utils/news2');
+const { encounterForPatient } = require('../utils/encounters');
+
+// Observations a recorder can set
+const VITAL_FIELDS = ['temperature', 'pulse', 'systolicBP', 'diastolicBP', 'respiratoryRate', 'spo2', 'onOxygen', 'consciousness', 'painScore', 'notes'];
+const NUMERIC_FIELDS = ['temperature', 'pulse', 'systolicBP', 'diastolicBP', 'respiratoryRate', 'spo2', 'painScore'];
+
+const patientNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Patient not found',
+});
+
+const notOwnRecord = (res) => res.status(401).json({
+  success: false,
+  message: 'Not authorized to view these vitals',
+});
+
+/**
+ * @swagger
+ * /api/vitals:
+ *   post:
+ *     summary: Record a set of vital signs for a patient
+ *     description: A NEWS2 early warning score (SpO2 scale 1) is computed from the observations given. Missing observations score nothing and mark the score incomplete.
+ *     tags: [Vitals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patId
+ *             properties:
+ *               patId:
+ *                 type: integer
+ *               encounterId:
+ *                 type: integer
+ *                 description: Encounter the observations were taken during
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               temperature:
+ *                 type: number
+ *                 description: Degrees Celsius
+ *               pulse:
+ *                 type: integer
+ *               systolicBP:
+ *                 type: integer
+ *               diastolicBP:
+ *                 type: integer
+ *               respiratoryRate:
+ *                 type: integer
+ *               spo2:
+ *                 type: integer
+ *               onOxygen:
+ *                 type: boolean
+ *               consciousness:
+ *                 type: string
+ *                 enum: [alert, confusion, voice, pain, unresponsive]
+ *               painScore:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 10
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Vitals recorded with their NEWS2 score and whether they raise a ward alert
+ *       400:
+ *         description: No observations, out-of-range values or a future time
+ *       404:
+ *         description: Patient or encounter not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, staff, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.body.patId });
+    if (!patient) return patientNotFound(res);
+
+    const { encounterId } = req.body;
+    if (encounterId && !(await encounterForPatient(encounterId, patient.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Encounter not found for this patient',
+      });
+    }
+
+    const observations = {};
+    VITAL_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined && req.body[field] !== null) observations[field] = req.body[field];
+    });
+    if (Object.keys(observations).every((field) => field === 'notes')) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one observation is required',
+      });
+    }
+
+    const notNumeric = NUMERIC_FIELDS.find((field) => field in observations && !Number.isFinite(Number(observations[field])));
+    if (notNumeric) {
+      return res.status(400).json({
+        success: false,
+        message: `${notNumeric} must be a number`,
+      });
+    }
+
+    const recordedAt = req.body.recordedAt ? new Date(req.body.recordedAt) : new Date();
+    if (Number.isNaN(recordedAt.getTime()) || recordedAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recording time cannot be in the future',
+      });
+    }
+
+    // Score the values as they will be stored, e.g. onOxygen=false from a form body is a string
+    const { parameters, ...news2 } = scoreVitals(new Vitals(observations).toObject());
+
+    // Get highest vitals ID and increment by 1
+    const highestVitals = await Vitals.findOne().sort('-id');
+    const newId = highestVitals ? highestVitals.id + 1 : 1;
+
+    let vitals;
+    try {
+      vitals = await Vitals.create({
+        id: newId,
+        patId: patient.id,
+        encounterId,
+        recordedAt,
+        recordedBy: req.user.id,
+        ...observations,
+        news2,
+      });
+    } catch (createError) {
+      if (createError.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: createError.message,
+        });
+      }
+      throw createError;
+    }
+
+    res.status(201).json({
+      success: true,
+      alert: needsAlert(news2),
+      parameters,
+      data: vitals,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/vitals/patient/{patientId}:
+ *   get:
+ *     summary: Get a patient's vital signs over time
+ *     description: Patients can only view their own vitals.
+ *     tags: [Vitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated observations to return, e.g. pulse,spo2 (all by default)
+ *     responses:
+ *       200:
+ *         description: Time series of vitals, oldest first
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) return patientNotFound(res);
+
+    if (req.user.role === 'patient' && patient.userId !== req.user.id) return notOwnRecord(res);
+
+    const filter = { patId: patient.id };
+    if (req.query.from || req.query.to) {
+      filter.recordedAt = {};
+      if (req.query.from) filter.recordedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.recordedAt.$lte = new Date(req.query.to);
+    }
+
+    let query = Vitals.find(filter).sort('recordedAt');
+    if (req.query.fields) {
+      const fields = req.query.fields.split(',').map((field) => field.trim()).filter((field) => VITAL_FIELDS.includes(field));
+      query = query.select(['id', 'recordedAt', 'recordedBy', 'news2', ...fields].join(' '));
+    }
+    const series = await query;
+
+    res.status(200).json({
+      success: true,
+      count: series.length,
+      data: series,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/vitals/patient/{patientId}/latest:
+ *   get:
+ *     summary: Get a patient's most recent vital signs
+ *     tags: [Vitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Latest vitals, or null if none were recorded
+ *       404:
+ *         description: Patient not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId/latest', protect, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ id: req.params.patientId });
+    if (!patient) return patientNotFound(res);
+
+    if (req.user.role === 'patient' && patient.userId !== req.user.id) return notOwnRecord(res);
+
+    const vitals = await Vitals.findOne({ patId: patient.id }).sort('-recordedAt');
+
+    res.status(200).json({
+      success: true,
+      data: vitals,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/vitals/ward/{wardId}/alerts:
+ *   get:
+ *     summary: Get admitted patients on a ward whose latest NEWS2 score needs escalation
+ *     description: A patient is listed when their latest score is at least NEWS2_ALERT_THRESHOLD (default 5) or any single parameter scored 3.
+ *     tags: [Vitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wardId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Patients with their latest vitals, highest score first
+ *       404:
+ *         description: Ward not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/ward/:wardId/alerts', protect, staff, async (req, res) => {
+  try {
+    const ward = await Ward.findOne({ id: req.params.wardId });
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found',
+      });
+    }
+
+    const patients = await Patient.find({ wardId: ward.id, admissionStatus: 'admitted' });
+    const latest = await Vitals.aggregate([
+      { $match: { patId: { $in: patients.map((patient) => patient.id) } } },
+      { $sort: { recordedAt: -1 } },
+      { $group: { _id: '$patId', vitals: { $first: '$$ROOT' } } },
+    ]);
+
+    const alerts = latest
+      .filter((row) => row.vitals.news2 && needsAlert(row.vitals.news2))
+      .map((row) => {
+        const patient = patients.find((candidate) => candidate.id === row._id);
+        return {
+          patId: row._id,
+          bedAllocated: patient.bedAllocated,
+          news2: row.vitals.news2,
+          vitals: row.vitals,
+        };
+      })
+      .sort((a, b) => b.news2.score - a.news2.score);
+
+    res.status(200).json({
+      success: true,
+      threshold: alertThreshold(),
+      count: alerts.length,
+      data: alerts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
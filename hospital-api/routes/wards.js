@@ -0,0 +1,462 @@
+const express = require('express');
+const router = express.Router();
+const Ward = require('../models/Ward');
+const Bed = require('../models/Bed');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+const WARD_TYPES = ['general', 'private', 'icu', 'emergency'];
+
+/**
+ * @swagger
+ * /api/wards:
+ *   get:
+ *     summary: Get all wards
+ *     tags: [Wards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [general, private, icu, emergency]
+ *     responses:
+ *       200:
+ *         description: List of all wards
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = req.query.type ? { type: req.query.type } : {};
+    const wards = await Ward.find(filter).sort('id');
+    res.status(200).json({
+      success: true,
+      count: wards.length,
+      data: wards,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wards/status/available:
+ *   get:
+ *     summary: Get wards with free capacity
+ *     tags: [Wards]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of available wards
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/status/available', protect, async (req, res) => {
+  try {
+    const wards = await Ward.find({ availability: true }).sort('id');
+    res.status(200).json({
+      success: true,
+      count: wards.length,
+      data: wards,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wards/summary/occupancy:
+ *   get:
+ *     summary: Get occupancy summary per ward type
+ *     tags: [Wards]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Capacity, occupancy and bed status counts for general, private, icu and emergency wards
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/summary/occupancy', protect, async (req, res) => {
+  try {
+    const wards = await Ward.find();
+    const bedCounts = await Bed.aggregate([
+      { $group: { _id: { wardId: '$wardId', status: '$status' }, count: { $sum: 1 } } },
+    ]);
+
+    const summary = {};
+    WARD_TYPES.forEach((type) => {
+      summary[type] = {
+        wards: 0,
+        capacity: 0,
+        occupied: 0,
+        free: 0,
+        occupancyRate: 0,
+        beds: { free: 0, occupied: 0, cleaning: 0, blocked: 0, reserved: 0 },
+      };
+    });
+
+    const wardTypes = new Map();
+    wards.forEach((ward) => {
+      const entry = summary[ward.type];
+      wardTypes.set(ward.id, ward.type);
+      entry.wards += 1;
+      entry.capacity += ward.maxCap;
+      entry.occupied += ward.currentOccupancy;
+    });
+
+    bedCounts.forEach(({ _id, count }) => {
+      const type = wardTypes.get(_id.wardId);
+      if (type) summary[type].beds[_id.status] += count;
+    });
+
+    Object.values(summary).forEach((entry) => {
+      entry.free = Math.max(0, entry.capacity - entry.occupied);
+      entry.occupancyRate = entry.capacity
+        ? Math.round((entry.occupied / entry.capacity) * 10000) / 100
+        : 0;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wards/{id}:
+ *   get:
+ *     summary: Get ward by ID
+ *     tags: [Wards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ward found
+ *       404:
+ *         description: Ward not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const ward = await Ward.findOne({ id: req.params.id });
+
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: ward,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wards:
+ *   post:
+ *     summary: Create new ward
+ *     tags: [Wards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - charges
+ *               - maxCap
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [general, private, icu, emergency]
+ *               charges:
+ *                 type: number
+ *               maxCap:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Ward created successfully
+ *       400:
+ *         description: Invalid data
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const { type, charges, maxCap } = req.body;
+
+    if (!(Number(maxCap) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum capacity must be a positive number',
+      });
+    }
+
+    // Get highest ward ID and increment by 1
+    const highestWard = await Ward.findOne().sort('-id');
+    const newId = highestWard ? highestWard.id + 1 : 1;
+
+    const ward = await Ward.create({
+      id: newId,
+      type,
+      charges,
+      maxCap
+    });
+
+    res.status(201).json({
+      success: true,
+      data: ward,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wards/{id}:
+ *   put:
+ *     summary: Update ward
+ *     description: Occupancy and availability are maintained by patient admissions and cannot be set directly.
+ *     tags: [Wards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [general, private, icu, emergency]
+ *               charges:
+ *                 type: number
+ *               maxCap:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Ward updated successfully
+ *       400:
+ *         description: Invalid data or capacity below current occupancy
+ *       404:
+ *         description: Ward not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const ward = await Ward.findOne({ id: req.params.id });
+
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found',
+      });
+    }
+
+    const { type, charges, maxCap } = req.body;
+
+    if (type !== undefined && !WARD_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Ward type must be one of: ${WARD_TYPES.join(', ')}`,
+      });
+    }
+
+    // The pipeline update below skips schema casting, so numbers are checked here
+    const isNonNegative = (value) => value !== null && value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+    if (charges !== undefined && !isNonNegative(charges)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Charges must be a non-negative number',
+      });
+    }
+
+    if (maxCap !== undefined && !(isNonNegative(maxCap) && Number.isInteger(Number(maxCap)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum capacity must be a non-negative whole number',
+      });
+    }
+
+    if (maxCap !== undefined && Number(maxCap) < ward.currentOccupancy) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum capacity cannot be lower than the current occupancy',
+      });
+    }
+
+    const updates = {};
+    if (type !== undefined) updates.type = type;
+    if (charges !== undefined) updates.charges = Number(charges);
+
+    const filter = { id: ward.id };
+    if (maxCap !== undefined) {
+      // Patients admitted since the check above are caught atomically
+      updates.maxCap = Number(maxCap);
+      filter.currentOccupancy = { $lte: updates.maxCap };
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update; type, charges and maxCap can be changed',
+      });
+    }
+
+    const updatedWard = await Ward.findOneAndUpdate(
+      filter,
+      [
+        { $set: updates },
+        { $set: { availability: { $lt: ['$currentOccupancy', '$maxCap'] } } },
+      ],
+      { new: true }
+    );
+
+    if (!updatedWard) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum capacity cannot be lower than the current occupancy',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedWard,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wards/{id}:
+ *   delete:
+ *     summary: Delete ward
+ *     tags: [Wards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ward deleted successfully
+ *       400:
+ *         description: Ward still has patients or beds
+ *       404:
+ *         description: Ward not found
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const ward = await Ward.findOne({ id: req.params.id });
+
+    if (!ward) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ward not found',
+      });
+    }
+
+    const hasBeds = await Bed.exists({ wardId: ward.id });
+    if (ward.currentOccupancy > 0 || hasBeds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ward still has patients or beds',
+      });
+    }
+
+    await Ward.findOneAndDelete({ id: req.params.id, currentOccupancy: 0 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ward deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -14,8 +14,28 @@ const userRoutes = require('./routes/userRoutes');
 const doctorRoutes = require('./routes/doctors');
 const patientRoutes = require('./routes/patients');
 const medicineRoutes = require('./routes/medicines');
-const doctorVisitRoutes = require('./routes/doctorVisits');
+const encounterRoutes = require('./routes/encounters');
 const medicineAssignedRoutes = require('./routes/medicineAssigned');
+const invoiceRoutes = require('./routes/invoices');
+const paymentRoutes = require('./routes/payments');
+const insurancePolicyRoutes = require('./routes/insurancePolicies');
+const claimRoutes = require('./routes/claims');
+const bedRoutes = require('./routes/beds');
+const wardRoutes = require('./routes/wards');
+const appointmentRoutes = require('./routes/appointments');
+const rosterRoutes = require('./routes/roster');
+const payrollRoutes = require('./routes/payroll');
+const leaveRoutes = require('./routes/leave');
+const pharmacyRoutes = require('./routes/pharmacy');
+const prescriptionRoutes = require('./routes/prescriptions');
+const marRoutes = require('./routes/mar');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const labRoutes = require('./routes/lab');
+const documentRoutes = require('./routes/documents');
+const vitalsRoutes = require('./routes/vitals');
+const clinicalNoteRoutes = require('./routes/clinicalNotes');
+const diagnosisRoutes = require('./routes/diagnoses');
 
 // Load environment variables
 dotenv.config();
@@ -80,8 +100,28 @@ app.use('/api/users', userRoutes);
 app.use('/api/doctors', doctorRoutes);
 app.use('/api/patients', patientRoutes);
 app.use('/api/medicines', medicineRoutes);
-app.use('/api/doctor-visits', doctorVisitRoutes);
+app.use('/api/encounters', encounterRoutes);
 app.use('/api/medicine-assigned', medicineAssignedRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/insurance-policies', insurancePolicyRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/beds', bedRoutes);
+app.use('/api/wards', wardRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/roster', rosterRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/leave', leaveRoutes);
+app.use('/api/pharmacy', pharmacyRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/mar', marRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/lab', labRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/vitals', vitalsRoutes);
+app.use('/api/clinical-notes', clinicalNoteRoutes);
+app.use('/api/diagnoses', diagnosisRoutes);
 
 // Home route
 app.get('/', (req, res) => {
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { billableDays, splitShares } = require('../utils/billing');
+
+test('a stay shorter than a day bills one day', () => {
+  const admitted = new Date(2025, 5, 1, 9);
+
+  assert.strictEqual(billableDays(admitted, admitted), 1);
+  assert.strictEqual(billableDays(admitted, new Date(2025, 5, 1, 17)), 1);
+});
+
+test('any part of a further day bills a full day', () => {
+  const admitted = new Date(2025, 5, 1, 9);
+
+  assert.strictEqual(billableDays(admitted, new Date(2025, 5, 3, 9)), 2);
+  assert.strictEqual(billableDays(admitted, new Date(2025, 5, 3, 10)), 3);
+});
+
+test('without a policy the patient pays everything', () => {
+  assert.deepStrictEqual(splitShares(1200, null), { payerShare: 0, patientShare: 1200 });
+});
+
+test('the payer covers its percentage of the total after the co-pay', () => {
+  const policy = { coPay: 100, coveragePercent: 80 };
+
+  assert.deepStrictEqual(splitShares(1100, policy), { payerShare: 800, patientShare: 300 });
+});
+
+test('a co-pay above the total leaves nothing for the payer', () => {
+  const policy = { coPay: 500, coveragePercent: 90 };
+
+  assert.deepStrictEqual(splitShares(300, policy), { payerShare: 0, patientShare: 300 });
+});
+
+test('shares are rounded to cents and add up to the total', () => {
+  const policy = { coPay: 0, coveragePercent: 33 };
+  const { payerShare, patientShare } = splitShares(100.05, policy);
+
+  assert.deepStrictEqual([payerShare, patientShare], [33.02, 67.03]);
+});
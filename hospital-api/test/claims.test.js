@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CLAIM_TRANSITIONS, canTransition, transitionClaim } = require('../utils/claims');
+
+test('claims move through submission, a decision and settlement', () => {
+  assert.strictEqual(canTransition('draft', 'submitted'), true);
+  assert.strictEqual(canTransition('submitted', 'partially_approved'), true);
+  assert.strictEqual(canTransition('approved', 'settled'), true);
+});
+
+test('steps cannot be skipped or reversed', () => {
+  assert.strictEqual(canTransition('draft', 'approved'), false);
+  assert.strictEqual(canTransition('approved', 'submitted'), false);
+  assert.strictEqual(canTransition('rejected', 'settled'), false);
+});
+
+test('rejected and settled claims are final', () => {
+  assert.deepStrictEqual(CLAIM_TRANSITIONS.rejected, []);
+  assert.deepStrictEqual(CLAIM_TRANSITIONS.settled, []);
+});
+
+test('an unknown status allows no transition', () => {
+  assert.strictEqual(canTransition('unknown', 'submitted'), false);
+});
+
+test('a transition updates the status and records it in the history', () => {
+  const claim = { status: 'draft', history: [] };
+
+  assert.strictEqual(transitionClaim(claim, 'submitted', 7, 'Sent to payer'), true);
+  assert.strictEqual(claim.status, 'submitted');
+  assert.deepStrictEqual(claim.history, [{ from: 'draft', to: 'submitted', by: 7, note: 'Sent to payer' }]);
+});
+
+test('a refused transition leaves the claim unchanged', () => {
+  const claim = { status: 'settled', history: [] };
+
+  assert.strictEqual(transitionClaim(claim, 'submitted', 7), false);
+  assert.strictEqual(claim.status, 'settled');
+  assert.deepStrictEqual(claim.history, []);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCatalog } = require('../utils/icd10');
+
+test('codes are normalised and a header row is not counted as skipped', () => {
+  const { codes, skipped } = parseCatalog('code,title\ne119,Type 2 diabetes mellitus without complications\nI10,Essential (primary) hypertension\n');
+
+  assert.deepStrictEqual(codes, [
+    { code: 'E11.9', title: 'Type 2 diabetes mellitus without complications' },
+    { code: 'I10', title: 'Essential (primary) hypertension' },
+  ]);
+  assert.strictEqual(skipped, 0);
+});
+
+test('quoted titles may hold commas and escaped quotes', () => {
+  const { codes } = parseCatalog('J45.909,"Asthma, unspecified, ""uncomplicated"""');
+
+  assert.deepStrictEqual(codes, [{ code: 'J45.909', title: 'Asthma, unspecified, "uncomplicated"' }]);
+});
+
+test('CRLF line endings and blank lines are accepted', () => {
+  const { codes, skipped } = parseCatalog('A00.0,Cholera\r\n\r\nA01.0,Typhoid fever\r\n');
+
+  assert.deepStrictEqual(codes.map(({ code }) => code), ['A00.0', 'A01.0']);
+  assert.strictEqual(skipped, 0);
+});
+
+test('rows without a valid code or a title are skipped and counted', () => {
+  const { codes, skipped } = parseCatalog('A00.0,Cholera\nnot-a-code,Something\nE1,Too short\nB20,\n');
+
+  assert.deepStrictEqual(codes.map(({ code }) => code), ['A00.0']);
+  assert.strictEqual(skipped, 3);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StockBatch = require('../models/StockBatch');
+const { consumeStock, reserveStock } = require('../utils/inventory');
+
+const batch = (id, expiryDate, qty, reservedQty = 0) => ({
+  id,
+  batchNumber: `B${id}`,
+  expiryDate,
+  qty,
+  reservedQty,
+});
+
+// Serve the batches in the order the query asks for and apply updates in memory
+const stockOf = (t, batches) => {
+  const stock = new Map(batches.map((item) => [item.id, { ...item }]));
+  const sorts = [];
+
+  t.mock.method(StockBatch, 'find', () => ({
+    sort: (spec) => {
+      sorts.push(spec);
+      return [...stock.values()]
+        .filter((item) => item.qty - item.reservedQty > 0)
+        .sort((a, b) => (a.expiryDate - b.expiryDate) * spec.expiryDate || (a.id - b.id) * spec.id);
+    },
+  }));
+  t.mock.method(StockBatch, 'findOneAndUpdate', async (filter, update) => {
+    const item = stock.get(filter.id);
+    Object.entries(update.$inc).forEach(([field, amount]) => { item[field] += amount; });
+    return item;
+  });
+  t.mock.method(StockBatch, 'updateOne', async (filter, update) => {
+    const item = stock.get(filter.id);
+    Object.entries(update.$inc).forEach(([field, amount]) => { item[field] += amount; });
+    return { modifiedCount: 1 };
+  });
+
+  return { stock, sorts };
+};
+
+test('stock is taken from the batch expiring first', async (t) => {
+  const { stock, sorts } = stockOf(t, [
+    batch(1, new Date(2031, 5, 1), 10),
+    batch(2, new Date(2030, 0, 1), 4),
+    batch(3, new Date(2030, 5, 1), 10),
+  ]);
+
+  const allocations = await consumeStock(5, 6);
+
+  assert.deepStrictEqual(sorts, [{ expiryDate: 1, id: 1 }]);
+  assert.deepStrictEqual(allocations.map(({ batchId, qty }) => [batchId, qty]), [[2, 4], [3, 2]]);
+  assert.deepStrictEqual([...stock.values()].map(({ qty }) => qty), [10, 0, 8]);
+});
+
+test('batches expiring on the same day are used in id order', async (t) => {
+  const expiry = new Date(2030, 0, 1);
+  stockOf(t, [batch(8, expiry, 5), batch(3, expiry, 5)]);
+
+  const allocations = await consumeStock(5, 3);
+
+  assert.deepStrictEqual(allocations.map(({ batchId }) => batchId), [3]);
+});
+
+test('reserved stock is left for its assignment', async (t) => {
+  const { stock } = stockOf(t, [
+    batch(1, new Date(2030, 0, 1), 5, 5),
+    batch(2, new Date(2030, 5, 1), 5, 2),
+    batch(3, new Date(2031, 0, 1), 5),
+  ]);
+
+  const allocations = await reserveStock(5, 4);
+
+  assert.deepStrictEqual(allocations.map(({ batchId, qty }) => [batchId, qty]), [[2, 3], [3, 1]]);
+  assert.deepStrictEqual([...stock.values()].map(({ reservedQty }) => reservedQty), [5, 5, 1]);
+});
+
+test('a shortfall takes nothing', async (t) => {
+  const { stock } = stockOf(t, [batch(1, new Date(2030, 0, 1), 2), batch(2, new Date(2030, 5, 1), 3)]);
+
+  assert.strictEqual(await consumeStock(5, 6), null);
+  assert.deepStrictEqual([...stock.values()].map(({ qty }) => qty), [2, 3]);
+});
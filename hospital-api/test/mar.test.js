@@ -0,0 +1,69 @@
+process.env.TZ = 'Europe/London';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { lineDoses, scheduledDose } = require('../utils/mar');
+
+const line = (frequency) => ({
+  lineId: 1,
+  medicineId: 2,
+  dose: 500,
+  unit: 'mg',
+  route: 'oral',
+  frequency,
+  startDate: new Date(2025, 2, 1),
+  status: 'active',
+  prn: false,
+  times: [],
+});
+
+const prescription = {
+  id: 1,
+  patId: 1,
+  lines: [line('tds')],
+  versions: [
+    { version: 1, signedAt: new Date(2025, 2, 1), lines: [line('bd')] },
+    { version: 2, signedAt: new Date(2025, 2, 29, 12), lines: [line('tds')] },
+  ],
+};
+
+const clockTimes = (doses) => doses.map(({ scheduledFor }) => (
+  `${scheduledFor.getDate()} ${String(scheduledFor.getHours()).padStart(2, '0')}:00`
+));
+
+test('doses before a revision keep the frequency signed at the time', () => {
+  const doses = lineDoses(prescription, 1, new Date(2025, 2, 29), new Date(2025, 2, 30));
+
+  assert.deepStrictEqual(clockTimes(doses), ['29 09:00', '29 14:00', '29 20:00']);
+});
+
+test('doses stay on the clock time across a daylight saving change', () => {
+  const doses = lineDoses(prescription, 1, new Date(2025, 2, 30), new Date(2025, 2, 31));
+
+  assert.deepStrictEqual(clockTimes(doses), ['30 08:00', '30 14:00', '30 20:00']);
+});
+
+test('a dose recorded after a line change keeps the drug and dose of its own version', () => {
+  const revised = { ...line('bd'), medicineId: 3, dose: 250, unit: 'mcg', route: 'iv' };
+  const changed = {
+    id: 2,
+    patId: 1,
+    lines: [revised],
+    versions: [
+      { version: 1, signedAt: new Date(2025, 2, 1), lines: [line('bd')] },
+      { version: 2, signedAt: new Date(2025, 2, 10, 12), lines: [revised] },
+    ],
+  };
+
+  const before = scheduledDose(changed, 1, new Date(2025, 2, 10, 9));
+  assert.deepStrictEqual(
+    [before.medicineId, before.dose, before.unit, before.route],
+    [2, 500, 'mg', 'oral']
+  );
+
+  const after = scheduledDose(changed, 1, new Date(2025, 2, 10, 21));
+  assert.deepStrictEqual(
+    [after.medicineId, after.dose, after.unit, after.route],
+    [3, 250, 'mcg', 'iv']
+  );
+});
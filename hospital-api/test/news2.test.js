@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scoreVitals, needsAlert } = require('../utils/news2');
+
+// A complete set of observations that all score 0
+const normal = {
+  respiratoryRate: 16,
+  spo2: 97,
+  systolicBP: 120,
+  pulse: 70,
+  temperature: 37,
+  onOxygen: false,
+  consciousness: 'alert',
+};
+
+// Points for values either side of each band edge
+const EDGES = {
+  respiratoryRate: [[8, 3], [9, 1], [11, 1], [12, 0], [20, 0], [21, 2], [24, 2], [25, 3]],
+  spo2: [[91, 3], [92, 2], [93, 2], [94, 1], [95, 1], [96, 0]],
+  systolicBP: [[90, 3], [91, 2], [100, 2], [101, 1], [110, 1], [111, 0], [219, 0], [220, 3]],
+  pulse: [[40, 3], [41, 1], [50, 1], [51, 0], [90, 0], [91, 1], [110, 1], [111, 2], [130, 2], [131, 3]],
+  temperature: [[35.0, 3], [35.1, 1], [36.0, 1], [36.1, 0], [38.0, 0], [38.1, 1], [39.0, 1], [39.1, 2]],
+};
+
+test('normal observations score 0 with low risk', () => {
+  const news2 = scoreVitals(normal);
+
+  assert.strictEqual(news2.score, 0);
+  assert.strictEqual(news2.risk, 'low');
+  assert.strictEqual(news2.complete, true);
+});
+
+test('each parameter scores by its band, with the upper bound inclusive', () => {
+  Object.entries(EDGES).forEach(([field, edges]) => {
+    edges.forEach(([value, points]) => {
+      assert.strictEqual(scoreVitals({ [field]: value }).parameters[field], points, `${field} ${value}`);
+    });
+  });
+});
+
+test('supplemental oxygen and reduced consciousness add their points', () => {
+  const news2 = scoreVitals({ ...normal, onOxygen: true, consciousness: 'voice' });
+
+  assert.deepStrictEqual([news2.parameters.onOxygen, news2.parameters.consciousness], [2, 3]);
+  assert.strictEqual(news2.score, 5);
+});
+
+test('risk is medium from 5 and high from 7', () => {
+  assert.strictEqual(scoreVitals({ ...normal, respiratoryRate: 22, spo2: 94, pulse: 112 }).risk, 'medium');
+  assert.strictEqual(scoreVitals({ ...normal, respiratoryRate: 22, spo2: 94, pulse: 112, onOxygen: true }).risk, 'high');
+});
+
+test('a single parameter scoring 3 is low-medium risk and raises an alert', () => {
+  const news2 = scoreVitals({ ...normal, systolicBP: 88 });
+
+  assert.strictEqual(news2.score, 3);
+  assert.strictEqual(news2.redScore, true);
+  assert.strictEqual(news2.risk, 'low-medium');
+  assert.strictEqual(needsAlert(news2), true);
+});
+
+test('missing observations score nothing and mark the score incomplete', () => {
+  const news2 = scoreVitals({ pulse: 95, temperature: 38.5 });
+
+  assert.strictEqual(news2.score, 2);
+  assert.strictEqual(news2.complete, false);
+  assert.deepStrictEqual(Object.keys(news2.parameters), ['pulse', 'temperature']);
+});
+
+test('the alert threshold can be overridden', (t) => {
+  const previous = process.env.NEWS2_ALERT_THRESHOLD;
+  t.after(() => {
+    if (previous === undefined) delete process.env.NEWS2_ALERT_THRESHOLD;
+    else process.env.NEWS2_ALERT_THRESHOLD = previous;
+  });
+  const news2 = scoreVitals({ ...normal, respiratoryRate: 22, spo2: 94 });
+
+  assert.strictEqual(needsAlert(news2), false);
+  process.env.NEWS2_ALERT_THRESHOLD = '3';
+  assert.strictEqual(needsAlert(news2), true);
+});
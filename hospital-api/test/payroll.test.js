@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { payPeriod, daysEmployed, leaveDaysInPeriod } = require('../utils/payroll');
+
+test('a mid-period hire is paid from the hire date', () => {
+  const { periodStart, periodEnd } = payPeriod(2025, 6);
+  const employee = { hireDate: new Date(2025, 5, 16, 9, 30), status: 'active' };
+
+  assert.strictEqual(daysEmployed(periodStart, periodEnd, employee), 15);
+});
+
+test('a mid-period termination is paid up to and including the last day', () => {
+  const { periodStart, periodEnd } = payPeriod(2025, 6);
+  const employee = { hireDate: new Date(2020, 0, 1), terminationDate: new Date(2025, 5, 10), status: 'terminated' };
+
+  assert.strictEqual(daysEmployed(periodStart, periodEnd, employee), 10);
+});
+
+test('an employee hired before the period is paid the full period', () => {
+  const { periodStart, periodEnd } = payPeriod(2025, 3);
+  const employee = { hireDate: new Date(2020, 0, 1), status: 'active' };
+
+  assert.strictEqual(daysEmployed(periodStart, periodEnd, employee), 31);
+});
+
+test('unpaid leave counts only the days inside the period', () => {
+  const { periodStart, periodEnd } = payPeriod(2025, 6);
+  const requests = [
+    { startDate: new Date(2025, 4, 29), endDate: new Date(2025, 5, 2) },
+    { startDate: new Date(2025, 5, 10), endDate: new Date(2025, 5, 10) },
+    { startDate: new Date(2025, 5, 30), endDate: new Date(2025, 6, 4) },
+  ];
+
+  assert.strictEqual(leaveDaysInPeriod(periodStart, periodEnd, requests), 4);
+});
+
+test('leave outside the period counts no days', () => {
+  const { periodStart, periodEnd } = payPeriod(2025, 6);
+  const requests = [{ startDate: new Date(2025, 6, 1), endDate: new Date(2025, 6, 3) }];
+
+  assert.strictEqual(leaveDaysInPeriod(periodStart, periodEnd, requests), 0);
+});
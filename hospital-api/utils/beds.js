@@ -0,0 +1,73 @@
+const Bed = require('../models/Bed');
+
+// Beds a patient may take: free ones, ones reserved for them and lapsed reservations
+const claimableFilter = (patId, now = new Date()) => ({
+  $or: [
+    { status: 'free' },
+    { status: 'reserved', reservedFor: patId },
+    { status: 'reserved', reservedUntil: { $lt: now } },
+  ],
+});
+
+// Atomically give a bed to a patient. Resolves to the occupied bed, or null
+// if the bed is not in the ward or is no longer claimable by this patient.
+const assignBed = async (bedId, wardId, patId) => {
+  try {
+    return await Bed.findOneAndUpdate(
+      { id: bedId, wardId, ...claimableFilter(patId) },
+      {
+        $set: { status: 'occupied', patId },
+        $unset: { reservedFor: 1, reservedUntil: 1 },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    // The unique patId index rejects a second bed for the same patient
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Atomically hold a bed for a patient until the given time
+const reserveBed = (bedId, patId, until) => Bed.findOneAndUpdate(
+  { id: bedId, ...claimableFilter(patId) },
+  { $set: { status: 'reserved', reservedFor: patId, reservedUntil: until } },
+  { new: true }
+);
+
+// Free a patient's bed; it goes to cleaning before it can be used again
+const releaseBed = (bedId, patId) => Bed.findOneAndUpdate(
+  { id: bedId, patId, status: 'occupied' },
+  { $set: { status: 'cleaning' }, $unset: { patId: 1 } },
+  { new: true }
+);
+
+// Undo releaseBed when the move that needed it falls through
+const restoreBed = (bedId, patId) => Bed.updateOne(
+  { id: bedId, status: 'cleaning' },
+  { $set: { status: 'occupied', patId } }
+);
+
+// Explain why assignBed or reserveBed did not succeed
+const bedError = async (bedId, wardId, patId) => {
+  const bed = await Bed.findOne({ id: bedId });
+  if (!bed) {
+    return { status: 404, message: 'Bed not found' };
+  }
+  if (wardId !== undefined && bed.wardId !== Number(wardId)) {
+    return { status: 400, message: `Bed ${bed.label} is not in ward ${wardId}` };
+  }
+  const otherBed = await Bed.findOne({ patId, id: { $ne: bed.id } });
+  if (otherBed) {
+    return { status: 400, message: `Patient already occupies bed ${otherBed.label}` };
+  }
+  return { status: 400, message: `Bed ${bed.label} is ${bed.status}` };
+};
+
+module.exports = {
+  assignBed,
+  reserveBed,
+  releaseBed,
+  restoreBed,
+  bedError,
+};
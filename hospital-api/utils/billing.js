@@ -0,0 +1,246 @@
+const Ward = require('../models/Ward');
+const Doctor = require('../models/Doctor');
+const Encounter = require('../models/Encounter');
+const Medicine = require('../models/Medicine');
+const MedicineAssigned = require('../models/MedicineAssigned');
+const LabOrder = require('../models/LabOrder');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Patient = require('../models/Patient');
+const InsurancePolicy = require('../models/InsurancePolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round to 2 decimal places for currency amounts
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Number of billable days in a stay; any part of a day counts as a full day
+const billableDays = (from, to) => {
+  const elapsed = new Date(to).getTime() - new Date(from).getTime();
+  return Math.max(1, Math.ceil(elapsed / DAY_MS));
+};
+
+// End of the billable period: the discharge date, or now for admitted patients
+const stayEnd = (patient) => (
+  patient.admissionStatus === 'discharged' && patient.dischargeDate ? patient.dischargeDate : new Date()
+);
+
+// Ward placements during the current stay, derived from the ward history
+const wardStays = (patient, periodEnd) => {
+  const admittedAt = new Date(patient.dateOfAdm);
+  const movements = (patient.wardHistory || [])
+    .filter((movement) => movement.at >= admittedAt && movement.at <= periodEnd)
+    .sort((a, b) => a.at - b.at);
+
+  // Patients admitted before ward history was kept have a single placement
+  if (movements.length === 0) {
+    return patient.wardId ? [{ wardId: patient.wardId, from: admittedAt, to: periodEnd }] : [];
+  }
+
+  const stays = [];
+  movements.forEach((movement) => {
+    const current = stays[stays.length - 1];
+    if (current && !current.to) current.to = movement.at;
+    if (movement.event !== 'discharge' && movement.toWardId) {
+      stays.push({ wardId: movement.toWardId, from: movement.at });
+    }
+  });
+  const last = stays[stays.length - 1];
+  if (last && !last.to) last.to = periodEnd;
+
+  return stays;
+};
+
+// Bill each day of the stay to the ward the patient was in when that day started
+const wardDays = (patient, periodEnd) => {
+  const stays = wardStays(patient, periodEnd);
+  const daysByWard = new Map();
+  if (stays.length === 0) return daysByWard;
+
+  const admittedAt = new Date(patient.dateOfAdm).getTime();
+  const days = billableDays(patient.dateOfAdm, periodEnd);
+  for (let day = 0; day < days; day += 1) {
+    const dayStart = admittedAt + day * DAY_MS;
+    const stay = stays.find((s) => s.from.getTime() <= dayStart && dayStart < s.to.getTime())
+      || stays[stays.length - 1];
+    daysByWard.set(stay.wardId, (daysByWard.get(stay.wardId) || 0) + 1);
+  }
+  return daysByWard;
+};
+
+// Collect ward, doctor, medicine and lab line items for a patient's stay
+const buildLineItems = async (patient, periodEnd) => {
+  const lineItems = [];
+  const stayFilter = {
+    patId: patient.id,
+    createdAt: { $gte: patient.dateOfAdm, $lte: periodEnd },
+  };
+
+  for (const [wardId, days] of wardDays(patient, periodEnd)) {
+    const ward = await Ward.findOne({ id: wardId });
+    if (!ward) continue;
+    lineItems.push({
+      type: 'ward',
+      refId: ward.id,
+      description: `Ward ${ward.id} (${ward.type}) - ${days} day(s)`,
+      quantity: days,
+      unitPrice: ward.charges,
+      amount: roundAmount(days * ward.charges),
+    });
+  }
+
+  // Each encounter bills one consultation with its attending doctor
+  const encounters = await Encounter.find({
+    patId: patient.id,
+    status: { $ne: 'cancelled' },
+    startedAt: { $gte: patient.dateOfAdm, $lte: periodEnd },
+  });
+  const encountersByDoctor = new Map();
+  encounters.forEach((encounter) => {
+    encountersByDoctor.set(encounter.doctorId, (encountersByDoctor.get(encounter.doctorId) || 0) + 1);
+  });
+
+  for (const [doctorId, count] of encountersByDoctor) {
+    const doctor = await Doctor.findOne({ id: doctorId });
+    if (!doctor) continue;
+    lineItems.push({
+      type: 'doctor',
+      refId: doctor.id,
+      description: `Doctor ${doctor.id} consultation - ${count} encounter(s)`,
+      quantity: count,
+      unitPrice: doctor.charges,
+      amount: roundAmount(count * doctor.charges),
+    });
+  }
+
+  // Only medicine actually handed out is billed
+  const assignments = await MedicineAssigned.find({ ...stayFilter, status: 'dispensed' });
+  for (const assignment of assignments) {
+    const medicine = await Medicine.findOne({ id: assignment.medicineId });
+    if (!medicine) continue;
+    lineItems.push({
+      type: 'medicine',
+      refId: medicine.id,
+      description: medicine.name,
+      quantity: assignment.medicineQty,
+      unitPrice: medicine.price,
+      amount: roundAmount(assignment.medicineQty * medicine.price),
+    });
+  }
+
+  // Lab tests are billed once their sample is collected, at the price when ordered
+  const labOrders = await LabOrder.find({
+    ...stayFilter,
+    status: { $in: ['collected', 'partially_resulted', 'resulted'] },
+  });
+  labOrders.forEach((order) => {
+    order.tests
+      .filter((test) => test.status !== 'cancelled')
+      .forEach((test) => {
+        lineItems.push({
+          type: 'lab',
+          refId: test.testId,
+          description: `Lab ${test.code} - ${test.name}`,
+          quantity: 1,
+          unitPrice: test.price,
+          amount: roundAmount(test.price),
+        });
+      });
+  });
+
+  return lineItems;
+};
+
+// Compute subtotal, tax and total from line items
+const computeTotals = (lineItems, taxRate = 0) => {
+  const subtotal = roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const tax = roundAmount(subtotal * taxRate);
+  return {
+    subtotal,
+    tax,
+    total: roundAmount(subtotal + tax),
+  };
+};
+
+// Active insurance policy covering a patient on the given date
+const findActivePolicy = (patId, at = new Date()) => InsurancePolicy.findOne({
+  patId,
+  active: true,
+  validFrom: { $lte: at },
+  validTo: { $gte: at },
+}).sort('-createdAt');
+
+// Split an invoice total into payer and patient shares; the patient pays the
+// co-pay first and the policy covers its percentage of the remainder
+const splitShares = (total, policy) => {
+  if (!policy) {
+    return { payerShare: 0, patientShare: total };
+  }
+  const coveredBase = Math.max(0, total - policy.coPay);
+  const payerShare = roundAmount(coveredBase * policy.coveragePercent / 100);
+  return {
+    payerShare,
+    patientShare: roundAmount(total - payerShare),
+  };
+};
+
+// Net amount received against each invoice (payments minus refunds)
+const netPaidByInvoice = async (invoiceIds) => {
+  const payments = await Payment.find({ invoiceId: { $in: invoiceIds } });
+  const netPaid = new Map(invoiceIds.map((invoiceId) => [invoiceId, 0]));
+  payments.forEach((payment) => {
+    const sign = payment.type === 'refund' ? -1 : 1;
+    netPaid.set(payment.invoiceId, roundAmount(netPaid.get(payment.invoiceId) + sign * payment.amount));
+  });
+  return netPaid;
+};
+
+// Outstanding balance of every issued invoice for a patient
+const getPatientBalance = async (patId) => {
+  const invoices = await Invoice.find({ patId, status: 'issued' }).sort('createdAt');
+  const netPaid = await netPaidByInvoice(invoices.map((invoice) => invoice.id));
+
+  const lines = invoices.map((invoice) => ({
+    invoiceId: invoice.id,
+    total: invoice.total,
+    paid: netPaid.get(invoice.id),
+    balance: roundAmount(invoice.total - netPaid.get(invoice.id)),
+  }));
+
+  return {
+    patId: Number(patId),
+    billed: roundAmount(lines.reduce((sum, line) => sum + line.total, 0)),
+    paid: roundAmount(lines.reduce((sum, line) => sum + line.paid, 0)),
+    balance: roundAmount(lines.reduce((sum, line) => sum + line.balance, 0)),
+    invoices: lines,
+  };
+};
+
+// Derive Patient.paymentStatus from the ledger and persist it
+const recomputePaymentStatus = async (patId) => {
+  const { billed, paid } = await getPatientBalance(patId);
+
+  let paymentStatus = 'pending';
+  if (billed > 0 && paid >= billed) {
+    paymentStatus = 'paid';
+  } else if (paid > 0) {
+    paymentStatus = 'partial';
+  }
+
+  await Patient.updateOne({ id: patId }, { paymentStatus });
+  return paymentStatus;
+};
+
+module.exports = {
+  roundAmount,
+  billableDays,
+  stayEnd,
+  wardStays,
+  buildLineItems,
+  computeTotals,
+  findActivePolicy,
+  splitShares,
+  netPaidByInvoice,
+  getPatientBalance,
+  recomputePaymentStatus,
+};
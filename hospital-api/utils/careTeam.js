@@ -0,0 +1,43 @@
+const Encounter = require('../models/Encounter');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const { doctorForUser } = require('./prescriptions');
+const { employeeForUser } = require('./leave');
+
+// Whether a staff user is on a patient's care team: admins always; doctors who
+// are the attending doctor or have seen the patient; other employees while they
+// are on a scheduled shift on the patient's ward
+const isCareTeam = async (user, patient) => {
+  if (user.role === 'admin') return true;
+
+  if (user.role === 'doctor') {
+    const doctor = await doctorForUser(user);
+    if (!doctor) return false;
+    if (doctor.id === patient.doctorId) return true;
+    return Boolean(await Encounter.exists({ patId: patient.id, doctorId: doctor.id, status: { $ne: 'cancelled' } }));
+  }
+
+  if (user.role === 'employee' && patient.admissionStatus === 'admitted' && patient.wardId) {
+    const employee = await employeeForUser(user);
+    if (!employee) return false;
+    const now = new Date();
+    return Boolean(await ShiftAssignment.exists({
+      empId: employee.id,
+      wardId: patient.wardId,
+      status: 'scheduled',
+      start: { $lte: now },
+      end: { $gt: now },
+    }));
+  }
+
+  return false;
+};
+
+// Care team members, plus the patient for their own record
+const canViewRecord = async (user, patient) => (
+  user.role === 'patient' ? patient.userId === user.id : isCareTeam(user, patient)
+);
+
+module.exports = {
+  isCareTeam,
+  canViewRecord,
+};
@@ -0,0 +1,27 @@
+// Allowed claim status transitions
+const CLAIM_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'partially_approved', 'rejected'],
+  approved: ['settled'],
+  partially_approved: ['settled'],
+  rejected: [],
+  settled: [],
+};
+
+const canTransition = (from, to) => (CLAIM_TRANSITIONS[from] || []).includes(to);
+
+// Move a claim to a new status and record it in the claim history
+const transitionClaim = (claim, to, userId, note) => {
+  if (!canTransition(claim.status, to)) {
+    return false;
+  }
+  claim.history.push({ from: claim.status, to, by: userId, note });
+  claim.status = to;
+  return true;
+};
+
+module.exports = {
+  CLAIM_TRANSITIONS,
+  canTransition,
+  transitionClaim,
+};
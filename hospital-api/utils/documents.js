@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+const DEFAULT_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/tiff', 'application/dicom'];
+
+// Largest upload accepted, overridable with DOCUMENT_MAX_BYTES (default 20 MB)
+const maxUploadBytes = () => Number(process.env.DOCUMENT_MAX_BYTES || 20 * 1024 * 1024);
+
+// Accepted content types, overridable as a comma-separated DOCUMENT_CONTENT_TYPES
+const allowedContentTypes = () => (
+  process.env.DOCUMENT_CONTENT_TYPES
+    ? process.env.DOCUMENT_CONTENT_TYPES.split(',').map((type) => type.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_CONTENT_TYPES
+);
+
+// Media type of a Content-Type header without parameters
+const mediaType = (header) => (header || '').split(';')[0].trim().toLowerCase();
+
+const checksum = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Keep a file name safe to echo back in a Content-Disposition header
+const safeFileName = (name) => String(name || '').replace(/[^\w.\- ]/g, '_').trim().slice(0, 200);
+
+module.exports = {
+  maxUploadBytes,
+  allowedContentTypes,
+  mediaType,
+  checksum,
+  safeFileName,
+};
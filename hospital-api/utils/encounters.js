@@ -0,0 +1,39 @@
+const Encounter = require('../models/Encounter');
+
+// The inpatient encounter of a patient's current stay
+const openInpatientFilter = (patId) => ({ patId, type: 'inpatient', status: 'in_progress' });
+
+// Create an encounter with the next ID
+const openEncounter = async (fields) => {
+  // Get highest encounter ID and increment by 1
+  const highestEncounter = await Encounter.findOne().sort('-id');
+  const newId = highestEncounter ? highestEncounter.id + 1 : 1;
+
+  return Encounter.create({ id: newId, ...fields });
+};
+
+// Encounter of a patient that records can still be attached to, or null
+const encounterForPatient = (encounterId, patId) => Encounter.findOne({
+  id: encounterId,
+  patId,
+  status: { $ne: 'cancelled' },
+});
+
+// Finish the inpatient encounter when a patient is discharged
+const finishInpatientEncounter = (patId, endedAt, endedBy) => Encounter.updateMany(
+  openInpatientFilter(patId),
+  { status: 'finished', endedAt, endedBy }
+);
+
+// Keep the inpatient encounter's ward in step with transfers
+const moveInpatientEncounter = (patId, wardId) => Encounter.updateMany(
+  openInpatientFilter(patId),
+  { wardId }
+);
+
+module.exports = {
+  openEncounter,
+  encounterForPatient,
+  finishInpatientEncounter,
+  moveInpatientEncounter,
+};
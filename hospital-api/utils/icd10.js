@@ -0,0 +1,123 @@
+const fs = require('fs/promises');
+const path = require('path');
+const IcdCode = require('../models/IcdCode');
+
+const IMPORT_BATCH_SIZE = 1000;
+
+// Catalog file imported when no CSV is uploaded, overridable with ICD10_FILE
+const catalogFile = () => process.env.ICD10_FILE || path.join(__dirname, '..', 'data', 'icd10.csv');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Upper-case a full or partial code and put the dot after the category, e.g. e119 -> E11.9
+const codePrefix = (input) => {
+  const compact = String(input || '').toUpperCase().replace(/[\s.]/g, '');
+  if (!/^[A-Z]\d[0-9A-Z]{0,5}$/.test(compact)) return null;
+  return compact.length > 3 ? `${compact.slice(0, 3)}.${compact.slice(3)}` : compact;
+};
+
+// Normalise a complete code, returning null for anything that is not an ICD-10 code
+const normalizeCode = (input) => {
+  const code = codePrefix(input);
+  return code && code.replace('.', '').length >= 3 ? code : null;
+};
+
+// Split one CSV line, honouring double-quoted fields
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+};
+
+// Parse code,title rows; a header row and lines without a valid code are skipped
+const parseCatalog = (text) => {
+  const codes = [];
+  let skipped = 0;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    const [rawCode, title] = parseCsvLine(line);
+    const code = normalizeCode(rawCode);
+    if (!code || !title) {
+      if (index > 0) skipped += 1;
+      return;
+    }
+    codes.push({ code, title });
+  });
+
+  return { codes, skipped };
+};
+
+// Insert or update catalog codes in batches
+const importCatalog = async (text) => {
+  const { codes, skipped } = parseCatalog(text);
+
+  for (let start = 0; start < codes.length; start += IMPORT_BATCH_SIZE) {
+    await IcdCode.bulkWrite(codes.slice(start, start + IMPORT_BATCH_SIZE).map(({ code, title }) => ({
+      updateOne: {
+        filter: { code },
+        update: { $set: { title, category: code.slice(0, 3), active: true } },
+        upsert: true,
+      },
+    })));
+  }
+
+  return { imported: codes.length, skipped };
+};
+
+const importCatalogFile = async (file = catalogFile()) => importCatalog(await fs.readFile(file, 'utf8'));
+
+// Autocomplete: a code-like query matches by code prefix, anything else needs every
+// word to appear in the title
+const searchCodes = (query, limit = 20) => {
+  const text = String(query || '').trim();
+  const prefix = codePrefix(text);
+
+  let filter;
+  if (prefix) {
+    filter = { code: new RegExp(`^${escapeRegExp(prefix)}`) };
+  } else {
+    const words = text.split(/\s+/).filter(Boolean);
+    filter = words.length ? { $and: words.map((word) => ({ title: new RegExp(escapeRegExp(word), 'i') })) } : {};
+  }
+
+  return IcdCode.find({ ...filter, active: true }).sort('code').limit(limit);
+};
+
+// Match a list of code prefixes, e.g. ['E10', 'E11'] for diabetes
+const codePrefixFilter = (prefixes) => ({
+  $or: prefixes.map(codePrefix).filter(Boolean).map((prefix) => ({ code: new RegExp(`^${escapeRegExp(prefix)}`) })),
+});
+
+module.exports = {
+  codePrefix,
+  normalizeCode,
+  parseCatalog,
+  importCatalog,
+  importCatalogFile,
+  searchCodes,
+  codePrefixFilter,
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const Prescription = require('../models/Prescription');
+const Medicine = require('../models/Medicine');
+const { activeLines } = require('./prescriptions');
+
+// Ordered from least to most serious
+const SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+
+// Allergy reaction severity to warning severity
+const ALLERGY_SEVERITY = { mild: 'moderate', moderate: 'major', severe: 'contraindicated' };
+
+let table;
+
+// Interaction table from DRUG_INTERACTIONS_FILE, or the bundled one, loaded once
+const loadTable = () => {
+  if (!table) {
+    const file = process.env.DRUG_INTERACTIONS_FILE || path.join(__dirname, '..', 'data', 'drug-interactions.json');
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    table = {
+      interactions: (raw.interactions || []).map((entry) => ({
+        ...entry,
+        drugs: entry.drugs.map((drug) => drug.toLowerCase()),
+      })),
+      allergyGroups: Object.fromEntries(Object.entries(raw.allergyGroups || {}).map(([group, members]) => (
+        [group.toLowerCase(), members.map((member) => member.toLowerCase())]
+      ))),
+    };
+  }
+  return table;
+};
+
+// Names a medicine is known by in the table: generic name, brand name and classes
+const medicineTerms = (medicine) => new Set([
+  medicine.genericName,
+  medicine.name,
+  ...(medicine.drugClasses || []),
+].filter(Boolean).map((term) => term.toLowerCase()));
+
+// Warnings for the patient's active allergies that match the medicine
+const allergyWarnings = (patient, medicine) => {
+  const { allergyGroups } = loadTable();
+  const terms = medicineTerms(medicine);
+
+  return (patient.allergies || [])
+    .filter((allergy) => allergy.status !== 'resolved')
+    .filter((allergy) => {
+      const substance = allergy.substance.toLowerCase();
+      const related = [substance, ...(allergyGroups[substance] || [])];
+      return related.some((term) => terms.has(term));
+    })
+    .map((allergy) => ({
+      type: 'allergy',
+      severity: ALLERGY_SEVERITY[allergy.severity] || 'major',
+      medicineId: medicine.id,
+      substance: allergy.substance,
+      description: `Patient is allergic to ${allergy.substance}${allergy.reaction ? ` (${allergy.reaction})` : ''}`,
+    }));
+};
+
+// Warnings for table interactions between the medicine and each other medicine
+const interactionWarnings = (medicine, others) => {
+  const { interactions } = loadTable();
+  const terms = medicineTerms(medicine);
+
+  return others.flatMap((other) => {
+    const otherTerms = medicineTerms(other);
+    return interactions
+      .filter(({ drugs: [a, b] }) => (terms.has(a) && otherTerms.has(b)) || (terms.has(b) && otherTerms.has(a)))
+      .map((entry) => ({
+        type: 'interaction',
+        severity: entry.severity,
+        medicineId: medicine.id,
+        withMedicineId: other.id,
+        withMedicine: other.name,
+        description: entry.description,
+      }));
+  });
+};
+
+// Allergy and interaction warnings for giving a medicine to a patient, checked against
+// every other medicine on the patient's active prescription lines. Most serious first.
+const checkMedicine = async (patient, medicine) => {
+  const prescriptions = await Prescription.find({ patId: patient.id, status: 'active' });
+  const otherIds = new Set(prescriptions
+    .flatMap((prescription) => activeLines(prescription))
+    .map((line) => line.medicineId)
+    .filter((medicineId) => medicineId !== medicine.id));
+  const others = await Medicine.find({ id: { $in: [...otherIds] } });
+
+  return [...allergyWarnings(patient, medicine), ...interactionWarnings(medicine, others)]
+    .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+};
+
+// Warnings that must be overridden with a reason before the medicine is given
+const needsOverride = (warnings) => warnings.some((warning) => warning.severity !== 'minor');
+
+module.exports = {
+  SEVERITIES,
+  loadTable,
+  checkMedicine,
+  needsOverride,
+};
@@ -0,0 +1,141 @@
+const StockBatch = require('../models/StockBatch');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quantity of a batch that is neither consumed nor reserved
+const UNRESERVED = { $subtract: ['$qty', '$reservedQty'] };
+
+// Days ahead that count as expiring soon
+const expiryWarningDays = () => Number(process.env.PHARMACY_EXPIRY_WARNING_DAYS || 30);
+
+// Usable stock per medicine from batches that have not expired. available is what
+// can still be reserved or consumed; reserved is held for assignments.
+const stockLevels = async (medicineIds) => {
+  const match = { qty: { $gt: 0 }, expiryDate: { $gt: new Date() } };
+  if (medicineIds) match.medicineId = { $in: medicineIds };
+
+  const levels = await StockBatch.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$medicineId',
+        qty: { $sum: '$qty' },
+        reserved: { $sum: '$reservedQty' },
+        batches: { $sum: 1 },
+        nextExpiry: { $min: '$expiryDate' },
+      },
+    },
+    { $addFields: { available: { $subtract: ['$qty', '$reserved'] } } },
+  ]);
+  return new Map(levels.map((level) => [level._id, level]));
+};
+
+// Walk unexpired batches first-expiry-first-out, applying the update to the unreserved
+// part of each batch. Each batch is changed atomically; if the total cannot be met
+// everything already taken is undone and null is returned.
+const allocateStock = async (medicineId, qty, toUpdate, undo) => {
+  const batches = await StockBatch.find({
+    medicineId,
+    expiryDate: { $gt: new Date() },
+    $expr: { $gt: [UNRESERVED, 0] },
+  }).sort({ expiryDate: 1, id: 1 });
+
+  const allocations = [];
+  let remaining = qty;
+
+  for (const batch of batches) {
+    if (remaining === 0) break;
+    const take = Math.min(batch.qty - batch.reservedQty, remaining);
+    const updated = await StockBatch.findOneAndUpdate(
+      { id: batch.id, $expr: { $gte: [UNRESERVED, take] } },
+      toUpdate(take),
+      { new: true }
+    );
+    if (updated) {
+      allocations.push({
+        batchId: batch.id,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        qty: take,
+      });
+      remaining -= take;
+    }
+  }
+
+  if (remaining > 0) {
+    await undo(allocations);
+    return null;
+  }
+  return allocations;
+};
+
+const allModified = (results) => results.every((result) => result.modifiedCount > 0);
+
+// Put consumed quantities back on their batches; false if a batch no longer exists
+const returnStock = async (allocations) => allModified(await Promise.all(allocations.map((allocation) => (
+  StockBatch.updateOne({ id: allocation.batchId }, { $inc: { qty: allocation.qty } })
+))));
+
+// Release reserved quantities so they can be used again; false if a batch no longer
+// holds the reservation
+const releaseStock = async (allocations) => allModified(await Promise.all(allocations.map((allocation) => (
+  StockBatch.updateOne(
+    { id: allocation.batchId, reservedQty: { $gte: allocation.qty } },
+    { $inc: { reservedQty: -allocation.qty } }
+  )
+))));
+
+// Take unreserved stock straight off the shelf
+const consumeStock = (medicineId, qty) => allocateStock(
+  medicineId,
+  qty,
+  (take) => ({ $inc: { qty: -take } }),
+  returnStock
+);
+
+// Hold unreserved stock for later dispensing
+const reserveStock = (medicineId, qty) => allocateStock(
+  medicineId,
+  qty,
+  (take) => ({ $inc: { reservedQty: take } }),
+  releaseStock
+);
+
+// Turn reservations into consumption, removing the stock from the shelf. All or nothing:
+// if a batch no longer holds its reservation the batches already taken from are restored
+// and false is returned.
+const dispenseStock = async (allocations) => {
+  const dispensed = [];
+  for (const allocation of allocations) {
+    const result = await StockBatch.updateOne(
+      { id: allocation.batchId, reservedQty: { $gte: allocation.qty } },
+      { $inc: { qty: -allocation.qty, reservedQty: -allocation.qty } }
+    );
+    if (result.modifiedCount === 0) {
+      await Promise.all(dispensed.map((taken) => (
+        StockBatch.updateOne({ id: taken.batchId }, { $inc: { qty: taken.qty, reservedQty: taken.qty } })
+      )));
+      return false;
+    }
+    dispensed.push(allocation);
+  }
+  return true;
+};
+
+// Batches with stock left that expire within the given number of days (or already have)
+const expiringBatches = (days = expiryWarningDays()) => StockBatch.find({
+  qty: { $gt: 0 },
+  expiryDate: { $lte: new Date(Date.now() + days * DAY_MS) },
+}).sort('expiryDate');
+
+module.exports = {
+  UNRESERVED,
+  expiryWarningDays,
+  stockLevels,
+  consumeStock,
+  returnStock,
+  reserveStock,
+  releaseStock,
+  dispenseStock,
+  expiringBatches,
+};
@@ -0,0 +1,67 @@
+const LabTest = require('../models/LabTest');
+
+// Orders whose results the ordering doctor is still waiting for
+const PENDING_STATUSES = ['ordered', 'collected', 'partially_resulted'];
+
+// Catalog fields copied onto an order so later catalog changes do not alter it
+const snapshotTest = (test) => ({
+  testId: test.id,
+  code: test.code,
+  name: test.name,
+  unit: test.unit,
+  referenceLow: test.referenceLow,
+  referenceHigh: test.referenceHigh,
+  normalValues: test.normalValues,
+  price: test.price,
+});
+
+// Look up active catalog tests in the order given, returning snapshots or an error message
+const orderedTests = async (testIds) => {
+  if (!Array.isArray(testIds) || testIds.length === 0) {
+    return { error: 'At least one test is required' };
+  }
+  if (new Set(testIds.map(Number)).size !== testIds.length) {
+    return { error: 'A test can only be ordered once per order' };
+  }
+
+  const tests = await LabTest.find({ id: { $in: testIds }, active: true });
+  const missing = testIds.find((testId) => !tests.some((test) => test.id === Number(testId)));
+  if (missing !== undefined) return { error: `Test ${missing} not found in the catalog` };
+
+  return { tests: testIds.map((testId) => snapshotTest(tests.find((test) => test.id === Number(testId)))) };
+};
+
+// Flag a result against the reference range of the ordered test
+const flagResult = (test, { value, textValue }) => {
+  if (value !== undefined && value !== null && value !== '') {
+    const number = Number(value);
+    if (Number.isNaN(number)) return { error: `Result of ${test.code} must be a number` };
+    if (test.referenceLow !== undefined && test.referenceLow !== null && number < test.referenceLow) {
+      return { value: number, flag: 'low' };
+    }
+    if (test.referenceHigh !== undefined && test.referenceHigh !== null && number > test.referenceHigh) {
+      return { value: number, flag: 'high' };
+    }
+    return { value: number, flag: 'normal' };
+  }
+
+  if (textValue) {
+    const normal = !test.normalValues.length || test.normalValues.includes(String(textValue).trim().toLowerCase());
+    return { textValue: String(textValue).trim(), flag: normal ? 'normal' : 'abnormal' };
+  }
+
+  return { error: `A result is required for ${test.code}` };
+};
+
+// Order status once results are in: resulted when every test is, otherwise partially
+const resultStatus = (tests) => {
+  const open = tests.filter((test) => test.status !== 'cancelled');
+  return open.every((test) => test.status === 'resulted') ? 'resulted' : 'partially_resulted';
+};
+
+module.exports = {
+  PENDING_STATUSES,
+  orderedTests,
+  flagResult,
+  resultStatus,
+};
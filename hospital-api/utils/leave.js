@@ -0,0 +1,98 @@
+const LeaveRequest = require('../models/LeaveRequest');
+const Employee = require('../models/Employee');
+const Doctor = require('../models/Doctor');
+const { roundAmount } = require('./billing');
+const { startOfDay } = require('./scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Unpaid leave has no entitlement; it is deducted from pay instead
+const LEAVE_TYPES = ['sick', 'casual', 'annual', 'unpaid'];
+
+// Yearly entitlement in days per paid leave type, overridable with LEAVE_<TYPE>_DAYS
+const PAID_LEAVE_TYPES = ['sick', 'casual', 'annual'];
+const DEFAULT_ENTITLEMENTS = { sick: 10, casual: 7, annual: 21 };
+
+const entitlement = (type) => Number(
+  process.env[`LEAVE_${type.toUpperCase()}_DAYS`] || DEFAULT_ENTITLEMENTS[type]
+);
+
+// Calendar days from the first to the last day of leave, both included
+const leaveDays = (startDate, endDate) => Math.round(
+  (startOfDay(endDate) - startOfDay(startDate)) / DAY_MS
+) + 1;
+
+// Whole months served between two dates
+const monthsServed = (from, to) => {
+  let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+  if (to.getDate() < from.getDate()) months -= 1;
+  return Math.max(0, months);
+};
+
+// Leave accrues monthly from the hire date and resets each calendar year
+const leaveBalances = async (employee, asOf = new Date()) => {
+  const yearStart = new Date(asOf.getFullYear(), 0, 1);
+  const yearEnd = new Date(asOf.getFullYear() + 1, 0, 1);
+  const hireDate = employee.hireDate || employee.createdAt;
+  const accrualStart = hireDate > yearStart ? hireDate : yearStart;
+  const months = hireDate >= yearEnd ? 0 : Math.min(12, monthsServed(accrualStart, asOf));
+
+  const requests = await LeaveRequest.find({
+    empId: employee.id,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $gte: yearStart, $lt: yearEnd },
+  });
+
+  return PAID_LEAVE_TYPES.reduce((balances, type) => {
+    const accrued = roundAmount(entitlement(type) * months / 12);
+    const ofType = requests.filter((request) => request.type === type);
+    const used = ofType
+      .filter((request) => request.status === 'approved')
+      .reduce((sum, request) => sum + request.days, 0);
+    const pending = ofType
+      .filter((request) => request.status === 'pending')
+      .reduce((sum, request) => sum + request.days, 0);
+
+    balances[type] = {
+      entitlement: entitlement(type),
+      accrued,
+      used,
+      pending,
+      available: roundAmount(accrued - used - pending),
+    };
+    return balances;
+  }, {});
+};
+
+// Approved leave of the employee covering any part of the window
+const findApprovedLeave = (empId, start, end) => LeaveRequest.findOne({
+  empId,
+  status: 'approved',
+  startDate: { $lt: end },
+  endDate: { $gte: startOfDay(start) },
+});
+
+// Approved leave of the doctor's employee record covering any part of the window
+const findDoctorLeave = async (doctorId, start, end) => {
+  const doctor = await Doctor.findOne({ id: doctorId });
+  return doctor ? findApprovedLeave(doctor.empId, start, end) : null;
+};
+
+// Employee record of the signed-in user, if they have one
+const employeeForUser = (user) => Employee.findOne({ userId: user.id });
+
+// Admins decide on any leave; managers decide on leave of their direct reports
+const canDecideLeave = (user, self, employee) => user.role === 'admin'
+  || Boolean(self && employee.manager === self.id);
+
+module.exports = {
+  LEAVE_TYPES,
+  PAID_LEAVE_TYPES,
+  entitlement,
+  leaveDays,
+  leaveBalances,
+  findApprovedLeave,
+  findDoctorLeave,
+  employeeForUser,
+  canDecideLeave,
+};
@@ -0,0 +1,163 @@
+const Prescription = require('../models/Prescription');
+const MedicationAdministration = require('../models/MedicationAdministration');
+const { toMinutes, startOfDay } = require('./scheduling');
+
+const MINUTE_MS = 60 * 1000;
+
+// Standard administration times for common frequency abbreviations
+const FREQUENCY_TIMES = {
+  od: ['09:00'],
+  qd: ['09:00'],
+  daily: ['09:00'],
+  'once daily': ['09:00'],
+  mane: ['08:00'],
+  nocte: ['22:00'],
+  hs: ['22:00'],
+  bd: ['09:00', '21:00'],
+  bid: ['09:00', '21:00'],
+  'twice daily': ['09:00', '21:00'],
+  tds: ['08:00', '14:00', '20:00'],
+  tid: ['08:00', '14:00', '20:00'],
+  'three times daily': ['08:00', '14:00', '20:00'],
+  qds: ['08:00', '12:00', '16:00', '20:00'],
+  qid: ['08:00', '12:00', '16:00', '20:00'],
+  'four times daily': ['08:00', '12:00', '16:00', '20:00'],
+};
+
+// Minutes after the scheduled time before an unrecorded dose counts as overdue
+const overdueGraceMinutes = () => Number(process.env.MAR_OVERDUE_MINUTES || 60);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Daily 'HH:mm' times for a frequency such as 'BID' or 'q6h', or null if not recognised
+const frequencyTimes = (frequency) => {
+  const key = String(frequency || '').toLowerCase().replace(/\./g, '').trim();
+  if (FREQUENCY_TIMES[key]) return FREQUENCY_TIMES[key];
+
+  const everyHours = key.replace(/\s+/g, '').match(/^q(\d{1,2})h$/);
+  if (everyHours) {
+    const hours = Number(everyHours[1]);
+    if (hours < 1 || 24 % hours !== 0) return null;
+    return Array.from({ length: 24 / hours }, (_, index) => `${pad(index * hours)}:00`);
+  }
+  return null;
+};
+
+const isOneOff = (frequency) => ['stat', 'once'].includes(String(frequency || '').toLowerCase().trim());
+
+// Scheduled times of a line as signed, between two times. Days are stepped on the
+// calendar so doses stay on the clock time across daylight saving changes.
+const scheduledTimes = (line, from, to) => {
+  if (line.prn) return [];
+
+  const stops = [line.stopDate, line.discontinuedAt].filter(Boolean);
+  const stop = stops.length ? new Date(Math.min(...stops.map((date) => date.getTime()))) : null;
+  const inEffect = (time) => time >= from && time < to && time >= line.startDate && (!stop || time < stop);
+
+  if (isOneOff(line.frequency)) {
+    return inEffect(line.startDate) ? [line.startDate] : [];
+  }
+
+  const daily = line.times && line.times.length ? line.times : frequencyTimes(line.frequency);
+  if (!daily) return [];
+
+  const times = [];
+  for (const day = startOfDay(from > line.startDate ? from : line.startDate); day < to; day.setDate(day.getDate() + 1)) {
+    daily.forEach((time) => {
+      const minutes = toMinutes(time);
+      const at = new Date(day);
+      at.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+      if (inEffect(at)) times.push(at);
+    });
+  }
+  return times;
+};
+
+// Each signed version of a line with the period it was in effect, so revising a
+// line does not rewrite the doses scheduled before the revision
+const lineVersions = (prescription, lineId) => {
+  const versions = [...(prescription.versions || [])].sort((a, b) => a.version - b.version);
+  if (versions.length === 0) {
+    const line = prescription.lines.find((item) => item.lineId === lineId);
+    return line ? [{ line, from: null, to: null }] : [];
+  }
+
+  return versions
+    .map((version, index) => ({
+      line: version.lines.find((item) => item.lineId === lineId),
+      from: index === 0 ? null : version.signedAt,
+      to: index + 1 < versions.length ? versions[index + 1].signedAt : null,
+    }))
+    .filter((period) => period.line);
+};
+
+// Scheduled doses of one prescription line between two times, each taken from the
+// version of the line in effect when it was due. PRN lines and unrecognised
+// frequencies have no schedule.
+const lineDoses = (prescription, lineId, from, to) => lineVersions(prescription, lineId).flatMap((period) => {
+  const start = period.from && period.from > from ? period.from : from;
+  const end = period.to && period.to < to ? period.to : to;
+  if (start >= end) return [];
+
+  const { line } = period;
+  return scheduledTimes(line, start, end).map((scheduledFor) => ({
+    patId: prescription.patId,
+    prescriptionId: prescription.id,
+    lineId: line.lineId,
+    medicineId: line.medicineId,
+    dose: line.dose,
+    unit: line.unit,
+    route: line.route,
+    instructions: line.instructions,
+    scheduledFor,
+  }));
+});
+
+// The dose of a line scheduled exactly at the given time, as prescribed by the
+// version in effect then, or undefined if none is due at that time
+const scheduledDose = (prescription, lineId, at) => {
+  const time = new Date(at);
+  return lineDoses(prescription, lineId, time, new Date(time.getTime() + 1))[0];
+};
+
+const doseKey = (prescriptionId, lineId, scheduledFor) => `${prescriptionId}:${lineId}:${new Date(scheduledFor).getTime()}`;
+
+// Medication administration record for patients between two times: every scheduled
+// dose with its recorded outcome (or due/overdue), plus as-needed doses given
+const buildMar = async (patIds, from, to, now = new Date()) => {
+  const prescriptions = await Prescription.find({ patId: { $in: patIds } });
+  const doses = prescriptions
+    .flatMap((prescription) => prescription.lines.flatMap((line) => lineDoses(prescription, line.lineId, from, to)))
+    .sort((a, b) => a.scheduledFor - b.scheduledFor);
+
+  const records = await MedicationAdministration.find({
+    patId: { $in: patIds },
+    $or: [
+      { scheduledFor: { $gte: from, $lt: to } },
+      { scheduledFor: { $exists: false }, administeredAt: { $gte: from, $lt: to } },
+    ],
+  }).sort('administeredAt');
+
+  const recorded = new Map(records
+    .filter((record) => record.scheduledFor)
+    .map((record) => [doseKey(record.prescriptionId, record.lineId, record.scheduledFor), record]));
+  const overdueBefore = now.getTime() - overdueGraceMinutes() * MINUTE_MS;
+
+  return {
+    doses: doses.map((dose) => {
+      const administration = recorded.get(doseKey(dose.prescriptionId, dose.lineId, dose.scheduledFor)) || null;
+      let status = dose.scheduledFor.getTime() < overdueBefore ? 'overdue' : 'due';
+      if (administration) status = administration.status;
+      return { ...dose, status, administration };
+    }),
+    prn: records.filter((record) => !record.scheduledFor),
+  };
+};
+
+module.exports = {
+  overdueGraceMinutes,
+  frequencyTimes,
+  lineDoses,
+  scheduledDose,
+  buildMar,
+};
@@ -0,0 +1,60 @@
+// National Early Warning Score 2 (NEWS2, SpO2 scale 1) from a set of observations
+
+// Score bands per parameter as [upper bound inclusive, points], checked in order
+const BANDS = {
+  respiratoryRate: [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]],
+  spo2: [[91, 3], [93, 2], [95, 1], [Infinity, 0]],
+  systolicBP: [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]],
+  pulse: [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]],
+  temperature: [[35.0, 3], [36.0, 1], [38.0, 0], [39.0, 1], [Infinity, 2]],
+};
+
+// Parameters that must all be present for a complete score
+const PARAMETERS = [...Object.keys(BANDS), 'onOxygen', 'consciousness'];
+
+// Aggregate score from which a ward alert is raised, overridable with NEWS2_ALERT_THRESHOLD
+const alertThreshold = () => Number(process.env.NEWS2_ALERT_THRESHOLD || 5);
+
+const bandScore = (bands, value) => bands.find(([upper]) => value <= upper)[1];
+
+const present = (value) => value !== undefined && value !== null;
+
+// Score the observations given; missing ones score nothing and mark the result incomplete
+const scoreVitals = (vitals) => {
+  const parameters = {};
+
+  Object.entries(BANDS).forEach(([field, bands]) => {
+    if (present(vitals[field])) parameters[field] = bandScore(bands, Number(vitals[field]));
+  });
+  if (present(vitals.onOxygen)) parameters.onOxygen = vitals.onOxygen ? 2 : 0;
+  if (present(vitals.consciousness)) parameters.consciousness = vitals.consciousness === 'alert' ? 0 : 3;
+
+  const score = Object.values(parameters).reduce((sum, points) => sum + points, 0);
+  const redScore = Object.values(parameters).some((points) => points === 3);
+
+  let risk = 'low';
+  if (score >= 7) {
+    risk = 'high';
+  } else if (score >= 5) {
+    risk = 'medium';
+  } else if (redScore) {
+    risk = 'low-medium';
+  }
+
+  return {
+    score,
+    risk,
+    redScore,
+    complete: PARAMETERS.every((field) => field in parameters),
+    parameters,
+  };
+};
+
+// Whether a score calls for escalation on the ward
+const needsAlert = (news2) => news2.score >= alertThreshold() || news2.redScore;
+
+module.exports = {
+  alertThreshold,
+  scoreVitals,
+  needsAlert,
+};
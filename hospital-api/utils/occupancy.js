@@ -0,0 +1,38 @@
+const Ward = require('../models/Ward');
+
+// Atomically take one place in a ward, refusing when it is already full.
+// Availability is recomputed in the same update so it flips as soon as the
+// ward fills up. Resolves to the updated ward, or null if none was taken.
+const occupyWard = (wardId) => Ward.findOneAndUpdate(
+  { id: wardId, $expr: { $lt: ['$currentOccupancy', '$maxCap'] } },
+  [
+    { $set: { currentOccupancy: { $add: ['$currentOccupancy', 1] } } },
+    { $set: { availability: { $lt: ['$currentOccupancy', '$maxCap'] } } },
+  ],
+  { new: true }
+);
+
+// Atomically free one place in a ward and mark it available again
+const releaseWard = (wardId) => Ward.findOneAndUpdate(
+  { id: wardId, currentOccupancy: { $gt: 0 } },
+  [
+    { $set: { currentOccupancy: { $subtract: ['$currentOccupancy', 1] } } },
+    { $set: { availability: { $lt: ['$currentOccupancy', '$maxCap'] } } },
+  ],
+  { new: true }
+);
+
+// Explain why occupyWard did not take a place
+const occupancyError = async (wardId) => {
+  const ward = await Ward.findOne({ id: wardId });
+  if (!ward) {
+    return { status: 404, message: 'Ward not found' };
+  }
+  return { status: 400, message: `Ward ${ward.id} is at full capacity (${ward.maxCap})` };
+};
+
+module.exports = {
+  occupyWard,
+  releaseWard,
+  occupancyError,
+};
@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stub payer adapter that writes each claim as a JSON file into a drop folder
+// instead of calling a real payer. Useful for local testing.
+// CLAIMS_DROP_DIR defaults to the git-ignored claims-outbox/ folder of the app.
+const dropDir = () => path.resolve(process.env.CLAIMS_DROP_DIR || path.join(__dirname, '..', '..', 'claims-outbox'));
+
+const submitClaim = async (claim, { invoice, policy }) => {
+  const dir = dropDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const reference = `FD-${claim.id}-${Date.now()}`;
+  const filePath = path.join(dir, `claim-${claim.id}.json`);
+  const payload = {
+    reference,
+    claimId: claim.id,
+    payer: policy.payer,
+    policyNumber: policy.policyNumber,
+    patId: claim.patId,
+    claimedAmount: claim.claimedAmount,
+    invoice: {
+      id: invoice.id,
+      admissionDate: invoice.admissionDate,
+      periodEnd: invoice.periodEnd,
+      lineItems: invoice.lineItems,
+      total: invoice.total,
+    },
+    submittedAt: new Date().toISOString(),
+  };
+
+  await fs.writeFile(filePath, JSON.stringify(payload, null, 2));
+
+  return { reference };
+};
+
+module.exports = {
+  name: 'fileDrop',
+  submitClaim,
+};
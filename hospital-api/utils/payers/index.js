@@ -0,0 +1,29 @@
+const fileDrop = require('./fileDrop');
+
+// Payer adapters by name. An adapter exposes submitClaim(claim, { invoice, policy })
+// and resolves to { reference } once the payer has accepted the submission.
+const adapters = {
+  [fileDrop.name]: fileDrop,
+};
+
+const registerPayerAdapter = (adapter) => {
+  adapters[adapter.name] = adapter;
+};
+
+const hasPayerAdapter = (name) => Object.prototype.hasOwnProperty.call(adapters, name);
+
+// Resolve the adapter for a policy, falling back to PAYER_ADAPTER and then the file-drop stub
+const getPayerAdapter = (name) => {
+  const adapterName = name || process.env.PAYER_ADAPTER || fileDrop.name;
+  const adapter = adapters[adapterName];
+  if (!adapter) {
+    throw new Error(`Unknown payer adapter: ${adapterName}`);
+  }
+  return adapter;
+};
+
+module.exports = {
+  registerPayerAdapter,
+  hasPayerAdapter,
+  getPayerAdapter,
+};
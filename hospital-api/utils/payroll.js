@@ -0,0 +1,135 @@
+const Employee = require('../models/Employee');
+const LeaveRequest = require('../models/LeaveRequest');
+const { roundAmount } = require('./billing');
+const { rosteredHours } = require('./roster');
+const { startOfDay } = require('./scheduling');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Employee fields only admins and the employee themselves may see
+const PAY_FIELDS = ['salary'];
+
+// Plain employee data for the user, without pay fields unless they are an admin
+// or it is their own record
+const visibleEmployee = (user, employee) => {
+  const data = typeof employee.toObject === 'function' ? employee.toObject() : { ...employee };
+  if (user.role !== 'admin' && employee.userId !== user.id) {
+    PAY_FIELDS.forEach((field) => delete data[field]);
+  }
+  return data;
+};
+
+// First and last instant of a pay period (periodEnd is exclusive)
+const payPeriod = (year, month) => ({
+  periodStart: new Date(year, month - 1, 1),
+  periodEnd: new Date(year, month, 1),
+});
+
+const componentAmount = (component, baseSalary) => roundAmount(
+  component.type === 'percent' ? baseSalary * component.value / 100 : component.value
+);
+
+// Calendar days of a period the employee was on the payroll, counting the hire and
+// termination days themselves
+const daysEmployed = (periodStart, periodEnd, employee) => {
+  const from = employee.hireDate ? Math.max(periodStart, startOfDay(employee.hireDate)) : periodStart.getTime();
+  let to = periodEnd.getTime();
+  if (employee.terminationDate) {
+    const dayAfter = startOfDay(employee.terminationDate);
+    dayAfter.setDate(dayAfter.getDate() + 1);
+    to = Math.min(to, dayAfter);
+  }
+  return Math.max(0, Math.round((to - from) / DAY_MS));
+};
+
+// Days of leave falling inside a period, each request counting its first and last day
+const leaveDaysInPeriod = (periodStart, periodEnd, requests) => requests.reduce((sum, request) => {
+  const dayAfter = startOfDay(request.endDate);
+  dayAfter.setDate(dayAfter.getDate() + 1);
+  const from = Math.max(periodStart, startOfDay(request.startDate));
+  const to = Math.min(periodEnd, dayAfter);
+  return sum + Math.max(0, Math.round((to - from) / DAY_MS));
+}, 0);
+
+// Payslip figures for one employee. Employee.salary is the monthly base salary, paid
+// in proportion to the days employed for a hire or termination within the period.
+const computePayslip = async (run, employee) => {
+  const monthlySalary = employee.salary || 0;
+  const daysInPeriod = Math.round((run.periodEnd - run.periodStart) / DAY_MS);
+  const employedDays = daysEmployed(run.periodStart, run.periodEnd, employee);
+  const baseSalary = roundAmount(monthlySalary * employedDays / daysInPeriod);
+  const hourlyRate = monthlySalary / run.standardHours;
+
+  const allowances = run.allowances.map((allowance) => ({
+    name: allowance.name,
+    amount: componentAmount(allowance, baseSalary),
+  }));
+  const deductions = run.deductions.map((deduction) => ({
+    name: deduction.name,
+    amount: componentAmount(deduction, baseSalary),
+  }));
+
+  const hours = roundAmount(await rosteredHours(employee.id, run.periodStart, run.periodEnd));
+  const overtimeHours = roundAmount(Math.max(0, hours - run.standardHours));
+  const overtimePay = roundAmount(overtimeHours * hourlyRate * run.overtimeMultiplier);
+
+  // Unpaid leave comes from the employee's approved leave requests
+  const unpaidLeave = await LeaveRequest.find({
+    empId: employee.id,
+    type: 'unpaid',
+    status: 'approved',
+    startDate: { $lt: run.periodEnd },
+    endDate: { $gte: run.periodStart },
+  });
+  const unpaidLeaveDays = leaveDaysInPeriod(run.periodStart, run.periodEnd, unpaidLeave);
+  const unpaidLeaveDeduction = roundAmount(unpaidLeaveDays * monthlySalary / daysInPeriod);
+
+  const gross = roundAmount(baseSalary
+    + allowances.reduce((sum, line) => sum + line.amount, 0)
+    + overtimePay);
+  const totalDeductions = roundAmount(deductions.reduce((sum, line) => sum + line.amount, 0)
+    + unpaidLeaveDeduction);
+
+  return {
+    runId: run.id,
+    empId: employee.id,
+    year: run.year,
+    month: run.month,
+    baseSalary,
+    daysEmployed: employedDays,
+    allowances,
+    deductions,
+    rosteredHours: hours,
+    overtimeHours,
+    overtimePay,
+    unpaidLeaveDays,
+    unpaidLeaveDeduction,
+    gross,
+    totalDeductions,
+    net: roundAmount(Math.max(0, gross - totalDeductions)),
+  };
+};
+
+// Payslip figures for every salaried employee employed at some point in the period
+const computeRun = async (run) => {
+  const employees = await Employee.find({
+    salary: { $gt: 0 },
+    hireDate: { $lt: run.periodEnd },
+    $or: [{ status: 'active' }, { terminationDate: { $gte: run.periodStart } }],
+  }).sort('id');
+
+  const payslips = [];
+  for (const employee of employees) {
+    payslips.push(await computePayslip(run, employee));
+  }
+  return payslips;
+};
+
+module.exports = {
+  visibleEmployee,
+  payPeriod,
+  daysEmployed,
+  leaveDaysInPeriod,
+  computePayslip,
+  computeRun,
+};
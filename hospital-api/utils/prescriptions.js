@@ -0,0 +1,102 @@
+const Prescription = require('../models/Prescription');
+const Employee = require('../models/Employee');
+const Doctor = require('../models/Doctor');
+const Medicine = require('../models/Medicine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ADMINISTRATION_ROUTES = Prescription.schema.path('lines').schema.path('route').enumValues;
+
+// Line fields a doctor can set; status and discontinuation go through discontinue
+const LINE_FIELDS = ['medicineId', 'dose', 'unit', 'route', 'frequency', 'times', 'durationDays', 'startDate', 'stopDate', 'prn', 'instructions'];
+
+// Doctor profile of the signed-in user, if they have one
+const doctorForUser = async (user) => {
+  const employee = await Employee.findOne({ userId: user.id });
+  return employee ? Doctor.findOne({ empId: employee.id }) : null;
+};
+
+// Validate a prescription line, returning the line or an error message
+const buildLine = async (input, lineId) => {
+  const line = { lineId, status: 'active' };
+  LINE_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) line[field] = input[field];
+  });
+
+  const medicine = await Medicine.findOne({ id: line.medicineId });
+  if (!medicine) return { error: `Medicine ${line.medicineId} not found` };
+
+  if (!(Number(line.dose) > 0) || !line.unit || !line.frequency) {
+    return { error: 'Each line needs a positive dose, a unit and a frequency' };
+  }
+  if (!ADMINISTRATION_ROUTES.includes(line.route)) {
+    return { error: `Route must be one of: ${ADMINISTRATION_ROUTES.join(', ')}` };
+  }
+  if (line.times && (!Array.isArray(line.times) || !line.times.every((time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(time)))) {
+    return { error: 'Times must be a list of HH:mm values' };
+  }
+
+  line.startDate = new Date(line.startDate || Date.now());
+  if (Number.isNaN(line.startDate.getTime())) return { error: 'Invalid start date' };
+
+  // A duration without an explicit stop date sets the stop date
+  if (!line.stopDate && line.durationDays) {
+    line.stopDate = new Date(line.startDate.getTime() + Number(line.durationDays) * DAY_MS);
+  }
+  if (line.stopDate) {
+    line.stopDate = new Date(line.stopDate);
+    if (Number.isNaN(line.stopDate.getTime()) || line.stopDate < line.startDate) {
+      return { error: 'Stop date must not be before the start date' };
+    }
+  }
+
+  line.prn = Boolean(line.prn);
+  return { line };
+};
+
+const plainLines = (prescription) => prescription.lines.map((line) => (
+  typeof line.toObject === 'function' ? line.toObject() : line
+));
+
+// Store new lines as the next signed version. The update only applies if nobody
+// signed another version in the meantime; returns null in that case.
+const signVersion = (prescription, doctorId, lines, change, extra = {}) => {
+  const signedAt = new Date();
+  const version = prescription.version + 1;
+  const status = lines.some((line) => line.status === 'active') ? 'active' : 'discontinued';
+
+  return Prescription.findOneAndUpdate(
+    { id: prescription.id, version: prescription.version },
+    {
+      $set: { lines, status, version, signedBy: doctorId, signedAt },
+      $push: {
+        versions: {
+          version,
+          change,
+          lineId: extra.lineId,
+          reason: extra.reason,
+          lines,
+          signedBy: doctorId,
+          signedAt,
+        },
+      },
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+// Lines of active prescriptions that are in effect at the given time
+const activeLines = (prescription, at = new Date()) => prescription.lines.filter((line) => (
+  line.status === 'active'
+  && line.startDate <= at
+  && (!line.stopDate || line.stopDate > at)
+));
+
+module.exports = {
+  ADMINISTRATION_ROUTES,
+  doctorForUser,
+  buildLine,
+  plainLines,
+  signVersion,
+  activeLines,
+};
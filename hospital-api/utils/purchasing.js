@@ -0,0 +1,136 @@
+const Medicine = require('../models/Medicine');
+const MedicineAssigned = require('../models/MedicineAssigned');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const { stockLevels } = require('./inventory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders whose outstanding quantities are still expected
+const OPEN_STATUSES = ['draft', 'sent', 'partially_received'];
+
+// Days of dispensing used to estimate usage, and days of usage an order should cover
+const reorderHistoryDays = () => Number(process.env.PHARMACY_REORDER_HISTORY_DAYS || 90);
+const reorderCoverDays = () => Number(process.env.PHARMACY_REORDER_COVER_DAYS || 30);
+
+// Build order lines, numbering them from 1
+const buildOrderLines = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'At least one order line is required' };
+  }
+
+  const medicines = await Medicine.find({ id: { $in: items.map((item) => item.medicineId) } });
+  const lines = [];
+
+  for (const [index, item] of items.entries()) {
+    const medicine = medicines.find((candidate) => candidate.id === Number(item.medicineId));
+    if (!medicine) return { error: `Medicine ${item.medicineId} not found` };
+
+    const qty = Number(item.qty);
+    if (!Number.isInteger(qty) || qty < 1) {
+      return { error: `Quantity of ${medicine.name} must be a positive whole number` };
+    }
+
+    const unitCost = Number(item.unitCost);
+    if (item.unitCost === undefined || Number.isNaN(unitCost) || unitCost < 0) {
+      return { error: `A unit cost is required for ${medicine.name}` };
+    }
+
+    lines.push({ lineId: index + 1, medicineId: medicine.id, qty, unitCost });
+  }
+
+  return { lines };
+};
+
+// Quantity ordered but not yet received, per medicine
+const onOrderQty = async () => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $in: OPEN_STATUSES } } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.medicineId',
+        qty: { $sum: { $subtract: ['$lines.qty', '$lines.receivedQty'] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((row) => [row._id, row.qty]));
+};
+
+// Average quantity dispensed per day over the history window, per medicine
+const dailyUsage = async (days = reorderHistoryDays()) => {
+  const rows = await MedicineAssigned.aggregate([
+    { $match: { status: 'dispensed', dispensedAt: { $gte: new Date(Date.now() - days * DAY_MS) } } },
+    { $group: { _id: '$medicineId', qty: { $sum: '$medicineQty' } } },
+  ]);
+  return new Map(rows.map((row) => [row._id, row.qty / days]));
+};
+
+// Supplier and unit cost of the most recent order line for each medicine
+const lastOrdered = async () => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $ne: 'draft' } } },
+    { $sort: { sentAt: -1, id: -1 } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.medicineId',
+        supplierId: { $first: '$supplierId' },
+        unitCost: { $first: '$lines.unitCost' },
+      },
+    },
+  ]);
+  return new Map(rows.map((row) => [row._id, row]));
+};
+
+// Medicines to reorder. The reorder point is the low-stock threshold plus the usage
+// expected during the supplier's lead time; when available plus on-order stock is at or
+// below it, the suggestion tops stock up to cover reorderCoverDays of usage beyond that.
+const reorderSuggestions = async () => {
+  const [medicines, levels, onOrder, usage, ordered, suppliers] = await Promise.all([
+    Medicine.find(),
+    stockLevels(),
+    onOrderQty(),
+    dailyUsage(),
+    lastOrdered(),
+    Supplier.find(),
+  ]);
+  const coverDays = reorderCoverDays();
+
+  return medicines.map((medicine) => {
+    const available = levels.has(medicine.id) ? levels.get(medicine.id).available : 0;
+    const pending = onOrder.get(medicine.id) || 0;
+    const perDay = usage.get(medicine.id) || 0;
+    const last = ordered.get(medicine.id);
+    const supplier = last ? suppliers.find((candidate) => candidate.id === last.supplierId) : null;
+    const leadTimeDays = supplier ? supplier.leadTimeDays : 0;
+
+    const reorderPoint = Math.ceil(medicine.lowStockThreshold + perDay * leadTimeDays);
+    const target = reorderPoint + Math.ceil(perDay * coverDays);
+    const suggestedQty = available + pending <= reorderPoint ? target - available - pending : 0;
+
+    return {
+      medicineId: medicine.id,
+      name: medicine.name,
+      available,
+      onOrder: pending,
+      lowStockThreshold: medicine.lowStockThreshold,
+      dailyUsage: Math.round(perDay * 100) / 100,
+      reorderPoint,
+      suggestedQty,
+      supplierId: supplier ? supplier.id : null,
+      supplierName: supplier ? supplier.name : null,
+      unitCost: last ? last.unitCost : null,
+    };
+  }).filter((row) => row.suggestedQty > 0);
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  reorderHistoryDays,
+  reorderCoverDays,
+  buildOrderLines,
+  onOrderQty,
+  dailyUsage,
+  reorderSuggestions,
+};
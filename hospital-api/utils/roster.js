@@ -0,0 +1,55 @@
+const ShiftAssignment = require('../models/ShiftAssignment');
+const { toMinutes, startOfDay } = require('./scheduling');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Minimum hours off between two shifts for the same employee
+const minRestHours = () => Number(process.env.ROSTER_MIN_REST_HOURS || 11);
+
+// Concrete start and end of a shift template on a given day
+const shiftWindow = (template, date) => {
+  const day = startOfDay(date);
+  const start = new Date(day.getTime() + toMinutes(template.startTime) * 60 * 1000);
+  const end = new Date(day.getTime() + toMinutes(template.endTime) * 60 * 1000);
+  if (end <= start) end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+// Scheduled shifts of the employee that overlap the window
+const findConflicts = (empId, start, end, excludeId) => ShiftAssignment.find({
+  empId,
+  status: 'scheduled',
+  id: { $ne: excludeId },
+  start: { $lt: end },
+  end: { $gt: start },
+});
+
+// Scheduled shifts that leave less than the minimum rest before or after the window
+const findRestViolations = (empId, start, end, excludeId) => {
+  const restMs = minRestHours() * HOUR_MS;
+  return ShiftAssignment.find({
+    empId,
+    status: 'scheduled',
+    id: { $ne: excludeId },
+    start: { $lt: new Date(end.getTime() + restMs) },
+    end: { $gt: new Date(start.getTime() - restMs) },
+  });
+};
+
+// Rostered hours for an employee on shifts starting between two dates
+const rosteredHours = async (empId, from, to) => {
+  const shifts = await ShiftAssignment.find({
+    empId,
+    status: 'scheduled',
+    start: { $gte: from, $lt: to },
+  });
+  return shifts.reduce((hours, shift) => hours + (shift.end - shift.start) / HOUR_MS, 0);
+};
+
+module.exports = {
+  minRestHours,
+  shiftWindow,
+  findConflicts,
+  findRestViolations,
+  rosteredHours,
+};
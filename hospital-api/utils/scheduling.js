@@ -0,0 +1,78 @@
+const DoctorSchedule = require('../models/DoctorSchedule');
+const Appointment = require('../models/Appointment');
+
+const MINUTE_MS = 60 * 1000;
+
+// Whether a value is a 24-hour 'HH:mm' time
+const isTime = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// 'HH:mm' to minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Midnight (server local time) of the given day
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Every slot a weekly schedule offers on one day
+const generateSlots = (schedule, date) => {
+  const day = startOfDay(date);
+  const slotMs = schedule.slotMinutes * MINUTE_MS;
+
+  return schedule.weekly
+    .filter((block) => block.dayOfWeek === day.getDay())
+    .flatMap((block) => {
+      const slots = [];
+      const blockEnd = day.getTime() + toMinutes(block.endTime) * MINUTE_MS;
+      let slotStart = day.getTime() + toMinutes(block.startTime) * MINUTE_MS;
+      while (slotStart + slotMs <= blockEnd) {
+        slots.push({ start: new Date(slotStart), end: new Date(slotStart + slotMs) });
+        slotStart += slotMs;
+      }
+      return slots;
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+// Future slots on the day that are not already booked
+const availableSlots = async (doctorId, date) => {
+  const schedule = await DoctorSchedule.findOne({ doctorId });
+  if (!schedule) return [];
+
+  const day = startOfDay(date);
+  const nextDay = new Date(day);
+  nextDay.setDate(nextDay.getDate() + 1);
+
+  const booked = await Appointment.find({
+    doctorId,
+    status: 'booked',
+    start: { $gte: day, $lt: nextDay },
+  });
+  const bookedStarts = new Set(booked.map((appointment) => appointment.start.getTime()));
+  const now = Date.now();
+
+  return generateSlots(schedule, day)
+    .filter((slot) => slot.start.getTime() > now && !bookedStarts.has(slot.start.getTime()));
+};
+
+// The scheduled slot starting exactly at the given time, if any
+const findSlot = async (doctorId, start) => {
+  const schedule = await DoctorSchedule.findOne({ doctorId });
+  if (!schedule) return null;
+  const startTime = new Date(start).getTime();
+  return generateSlots(schedule, start).find((slot) => slot.start.getTime() === startTime) || null;
+};
+
+module.exports = {
+  isTime,
+  toMinutes,
+  startOfDay,
+  generateSlots,
+  availableSlots,
+  findSlot,
+};
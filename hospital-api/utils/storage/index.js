@@ -0,0 +1,26 @@
+const local = require('./local');
+
+// Document storage backends by name. A backend exposes put(key, buffer), get(key)
+// resolving to a Buffer, and remove(key).
+const backends = {
+  [local.name]: local,
+};
+
+const registerStorageBackend = (backend) => {
+  backends[backend.name] = backend;
+};
+
+// Resolve a backend by name, falling back to DOCUMENT_STORAGE and then local files
+const getStorageBackend = (name) => {
+  const backendName = name || process.env.DOCUMENT_STORAGE || local.name;
+  const backend = backends[backendName];
+  if (!backend) {
+    throw new Error(`Unknown storage backend: ${backendName}`);
+  }
+  return backend;
+};
+
+module.exports = {
+  registerStorageBackend,
+  getStorageBackend,
+};
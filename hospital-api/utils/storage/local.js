@@ -0,0 +1,28 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Storage backend that keeps documents as files under DOCUMENTS_DIR, by default the
+// git-ignored documents/ folder of the app rather than the process's working directory
+const baseDir = () => path.resolve(process.env.DOCUMENTS_DIR || path.join(__dirname, '..', '..', 'documents'));
+
+// Keys are generated by the documents route, never taken from the client
+const filePath = (key) => path.join(baseDir(), ...key.split('/'));
+
+const put = async (key, data) => {
+  const target = filePath(key);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, data, { flag: 'wx' });
+};
+
+const get = (key) => fs.readFile(filePath(key));
+
+const remove = async (key) => {
+  await fs.rm(filePath(key), { force: true });
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  get,
+  remove,
+};
@@ -0,0 +1,134 @@
+const Encounter = require('../models/Encounter');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const MedicineAssigned = require('../models/MedicineAssigned');
+const MedicationAdministration = require('../models/MedicationAdministration');
+const LabOrder = require('../models/LabOrder');
+const Vitals = require('../models/Vitals');
+const ClinicalNote = require('../models/ClinicalNote');
+const Diagnosis = require('../models/Diagnosis');
+const Document = require('../models/Document');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+
+// Ward history entries of the patient record, by the timeline type they appear as
+const WARD_EVENTS = {
+  admit: 'admission',
+  transfer: 'transfer',
+  discharge: 'discharge',
+};
+
+const wardSummary = (movement) => {
+  if (movement.event === 'admit') return `Admitted to ward ${movement.toWardId}`;
+  if (movement.event === 'transfer') return `Transferred from ward ${movement.fromWardId} to ward ${movement.toWardId}`;
+  return `Discharged from ward ${movement.fromWardId}`;
+};
+
+// Collections holding a patient's events, with the date each event is placed at
+const SOURCES = {
+  encounter: {
+    model: Encounter,
+    field: 'startedAt',
+    summary: (encounter) => `${encounter.type} encounter with doctor ${encounter.doctorId} (${encounter.status})`,
+  },
+  appointment: {
+    model: Appointment,
+    field: 'start',
+    summary: (appointment) => `Appointment with doctor ${appointment.doctorId} (${appointment.status})`,
+  },
+  prescription: {
+    model: Prescription,
+    field: 'createdAt',
+    summary: (prescription) => `Prescription by doctor ${prescription.doctorId} with ${prescription.lines.length} line(s)`,
+  },
+  medicine: {
+    model: MedicineAssigned,
+    field: 'createdAt',
+    summary: (assignment) => `Medicine ${assignment.medicineId} x${assignment.medicineQty} (${assignment.status})`,
+  },
+  administration: {
+    model: MedicationAdministration,
+    field: 'administeredAt',
+    summary: (administration) => `Dose of medicine ${administration.medicineId} ${administration.status}`,
+  },
+  lab: {
+    model: LabOrder,
+    field: 'createdAt',
+    summary: (order) => `Lab order ${order.tests.map((test) => test.code).join(', ')} (${order.status}${order.abnormal ? ', abnormal' : ''})`,
+  },
+  vitals: {
+    model: Vitals,
+    field: 'recordedAt',
+    summary: (vitals) => `Vital signs, NEWS2 ${vitals.news2.score} (${vitals.news2.risk})`,
+  },
+  note: {
+    model: ClinicalNote,
+    field: 'createdAt',
+    summary: (note) => `Clinical note by doctor ${note.doctorId} (${note.status})`,
+  },
+  diagnosis: {
+    model: Diagnosis,
+    field: 'createdAt',
+    summary: (diagnosis) => `${diagnosis.type} diagnosis ${diagnosis.code} ${diagnosis.title} (${diagnosis.status})`,
+  },
+  document: {
+    model: Document,
+    field: 'createdAt',
+    summary: (document) => `${document.category} document ${document.title || document.fileName}`,
+  },
+  invoice: {
+    model: Invoice,
+    field: 'createdAt',
+    summary: (invoice) => `Invoice ${invoice.id} for ${invoice.total} (${invoice.status})`,
+  },
+  payment: {
+    model: Payment,
+    field: 'createdAt',
+    summary: (payment) => `${payment.type} of ${payment.amount} by ${payment.method} on invoice ${payment.invoiceId}`,
+  },
+};
+
+const TIMELINE_TYPES = [...Object.values(WARD_EVENTS), ...Object.keys(SOURCES)];
+
+// One page of a patient's events of the given types, merged in date order. Each
+// source only needs its first skip + limit events for the merged page to be exact.
+const patientTimeline = async (patient, { types, from, to, order, skip, limit, signedNotesOnly }) => {
+  const direction = order === 'asc' ? 1 : -1;
+  const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+  const events = [];
+  let total = 0;
+
+  patient.wardHistory.forEach((movement) => {
+    const type = WARD_EVENTS[movement.event];
+    if (!types.includes(type) || !inRange(movement.at)) return;
+    total += 1;
+    events.push({ type, at: movement.at, refId: movement._id, summary: wardSummary(movement), data: movement });
+  });
+
+  for (const type of types.filter((name) => SOURCES[name])) {
+    const { model, field, summary } = SOURCES[type];
+    const filter = { patId: patient.id };
+    if (from || to) {
+      filter[field] = {};
+      if (from) filter[field].$gte = from;
+      if (to) filter[field].$lte = to;
+    }
+    // Patients only see signed notes
+    if (type === 'note' && signedNotesOnly) filter.status = 'signed';
+
+    total += await model.countDocuments(filter);
+    const records = await model.find(filter).sort({ [field]: direction }).limit(skip + limit);
+    records.forEach((record) => {
+      events.push({ type, at: record[field], refId: record.id, summary: summary(record), data: record });
+    });
+  }
+
+  events.sort((a, b) => direction * (a.at - b.at));
+
+  return { total, events: events.slice(skip, skip + limit) };
+};
+
+module.exports = {
+  TIMELINE_TYPES,
+  patientTimeline,
+};